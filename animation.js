@@ -0,0 +1,73 @@
+// ================== Animation ================== //
+class Animation {
+    /**
+     * Calls back on every animation frame while playing
+     * @param {Function} onFrame - Receives the seconds elapsed since the previous frame
+     */
+    constructor(onFrame) {
+        this.onFrame = onFrame;
+        this.frameId = null;
+        this.lastTime = null;
+        this.tick = this.tick.bind(this);
+    }
+
+    get isPlaying() {
+        return this.frameId !== null;
+    }
+
+    play() {
+        if (this.isPlaying) return;
+        this.lastTime = null;
+        this.frameId = requestAnimationFrame(this.tick);
+    }
+
+    pause() {
+        if (!this.isPlaying) return;
+        cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    }
+
+    toggle() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    tick(time) {
+        const elapsed = this.lastTime === null ? 0 : (time - this.lastTime) / 1000;
+        this.lastTime = time;
+        this.frameId = requestAnimationFrame(this.tick);
+        this.onFrame(elapsed);
+    }
+
+    /**
+     * Move a value through [min, max], wrapping around or reflecting at the ends
+     * @param {number} value - Current value
+     * @param {number} direction - 1 or -1
+     * @param {number} delta - Distance to move
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @param {string} mode - "loop" or "bounce"
+     * @returns {{value: number, direction: number}} New value and direction
+     */
+    static advance(value, direction, delta, min, max, mode) {
+        const range = max - min;
+        if (!(range > 0)) return { value: min, direction };
+
+        let next = value + direction * delta;
+        if (mode === "bounce") {
+            if (next > max) {
+                next = max - (next - max) % range;
+                direction = -1;
+            } else if (next < min) {
+                next = min + (min - next) % range;
+                direction = 1;
+            }
+        } else {
+            next = min + ((next - min) % range + range) % range;
+        }
+        return { value: next, direction };
+    }
+}
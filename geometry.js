@@ -34,6 +34,11 @@ class Vec2 {
         return this.x * other.x + this.y * other.y;
     }
 
+    /** 2D cross product (z component of the 3D cross product) */
+    cross(other) {
+        return this.x * other.y - this.y * other.x;
+    }
+
     /** Vector magnitude */
     magnitude() {
         return Math.sqrt(this.dot(this));
@@ -156,6 +161,40 @@ class Matrix2 {
         );
     }
 
+    /** Sum of the diagonal entries */
+    trace() {
+        return this.a + this.d;
+    }
+
+    /** Real eigenvalues in increasing order, empty when they are complex */
+    eigenvalues() {
+        const half = this.trace() / 2;
+        const discriminant = half * half - this.determinant();
+        if (discriminant < 0) return [];
+        if (discriminant === 0) return [half];
+        const root = Math.sqrt(discriminant);
+        return [half - root, half + root];
+    }
+
+    /**
+     * Real eigenvalues with unit eigenvectors. A multiple of the identity
+     * has every direction as eigenvector and gets both axes.
+     * @returns {{value: number, vector: Vec2}[]}
+     */
+    eigenvectors() {
+        const scale = Math.max(Math.abs(this.a), Math.abs(this.b), Math.abs(this.c), Math.abs(this.d));
+        return this.eigenvalues().flatMap(value => {
+            // Both rows of A - λI are orthogonal to the eigenvector, the longer one is the more accurate
+            const fromFirstRow = new Vec2(this.b, value - this.a);
+            const fromSecondRow = new Vec2(value - this.d, this.c);
+            const vector = fromFirstRow.magnitude() >= fromSecondRow.magnitude() ? fromFirstRow : fromSecondRow;
+            if (vector.magnitude() <= 1e-12 * scale) {
+                return [{ value, vector: Vec2.EX }, { value, vector: Vec2.EY }];
+            }
+            return [{ value, vector: vector.normalized() }];
+        });
+    }
+
     /** Create rotation matrix */
     static rotation(angle) {
         const cos = Math.cos(angle);
@@ -202,6 +241,21 @@ class AffineTransform {
         );
     }
 
+    /**
+     * Point left in place, solving (A - I)p = -t. Where a whole line stays in place,
+     * its point closest to the origin; null when none does, as for a translation.
+     */
+    fixedPoint() {
+        const m = new Matrix2(this.linear.a - 1, this.linear.b, this.linear.c, this.linear.d - 1);
+        const target = this.translation.scale(-1);
+        const norm = m.a * m.a + m.b * m.b + m.c * m.c + m.d * m.d;
+        if (Math.abs(m.determinant()) > Math.max(1e-9 * norm, Number.EPSILON)) return m.inverse().apply(target);
+        // A - I has rank at most one, so the least-norm solution is Mᵀ(-t) / |M|², if there is a solution
+        const point = norm > 0 ? m.transpose().apply(target).scale(1 / norm) : Vec2.ZERO;
+        const residual = m.apply(point).subtract(target).magnitude();
+        return residual <= 1e-9 * Math.max(1, target.magnitude()) ? point : null;
+    }
+
     /** Create translation transform */
     static translation(vector) {
         return new AffineTransform(Matrix2.IDENTITY, vector);
@@ -519,11 +573,286 @@ class Polygon {
         );
     }
 
+    /** Signed area, positive for counter-clockwise vertices */
+    signedArea() {
+        return this.vertices.reduce((sum, v, i) =>
+            sum + v.cross(this.vertices[(i + 1) % this.vertices.length]), 0) / 2;
+    }
+
+    /**
+     * Clip against a convex polygon (Sutherland-Hodgman)
+     * @param {Polygon} convex - Convex clipping window
+     * @returns {Polygon} Clipped polygon, possibly without vertices
+     */
+    clip(convex) {
+        const orientation = Math.sign(convex.signedArea());
+        let vertices = this.vertices;
+        convex.vertices.forEach((edgeStart, i) => {
+            const edgeEnd = convex.vertices[(i + 1) % convex.vertices.length];
+            const edge = edgeEnd.subtract(edgeStart);
+            const side = v => orientation * edge.cross(v.subtract(edgeStart));
+            const input = vertices;
+            vertices = [];
+            input.forEach((current, k) => {
+                const previous = input[(k + input.length - 1) % input.length];
+                const currentSide = side(current);
+                const previousSide = side(previous);
+                if ((currentSide >= 0) !== (previousSide >= 0)) {
+                    const t = previousSide / (previousSide - currentSide);
+                    vertices.push(previous.add(current.subtract(previous).scale(t)));
+                }
+                if (currentSide >= 0) vertices.push(current);
+            });
+        });
+        return new Polygon(vertices);
+    }
+
     map(f){
         return new Polygon(this.vertices.map(f));
     }
 }
 
+/**
+ * Adaptive marching squares over a scalar field
+ */
+class MarchingSquares {
+    /**
+     * @param {Function} field - Maps a point (Vec2) to a number
+     * @param {Rectangle} bounds - Sampled area
+     * @param {number} [cells=32] - Coarse cells along the longer side
+     * @param {number} [depth=3] - Refinement levels below the coarse grid
+     */
+    constructor(field, bounds, cells = 32, depth = 3) {
+        this.field = field;
+        this.bounds = bounds;
+        this.coarseSize = Math.pow(2, depth);
+        const coarseSpacing = Math.max(bounds.width, bounds.height) / cells;
+        this.columns = Math.max(1, Math.ceil(bounds.width / coarseSpacing));
+        this.rows = Math.max(1, Math.ceil(bounds.height / coarseSpacing));
+        this.spacing = coarseSpacing / this.coarseSize;
+        this.values = new Map();
+        this.crossings = new Map();
+    }
+
+    /** World position of a fine grid node */
+    point(i, j) {
+        return new Vec2(
+            this.bounds.minX + i * this.spacing,
+            this.bounds.minY + j * this.spacing
+        );
+    }
+
+    /** Field value, NaN where undefined */
+    evaluate(point) {
+        try {
+            const value = this.field(point);
+            return Number.isFinite(value) ? value : NaN;
+        } catch (e) {
+            return NaN;
+        }
+    }
+
+    /** Cached field value at a fine grid node */
+    value(i, j) {
+        const key = `${i},${j}`;
+        if (!this.values.has(key)) {
+            this.values.set(key, this.evaluate(this.point(i, j)));
+        }
+        return this.values.get(key);
+    }
+
+    /**
+     * Walk the cell tree, refining where the zero set may pass through
+     * @returns {{boundary: number[][], inside: number[][]}} Finest cells on the
+     *     zero set and larger cells where the field is positive, as [i, j, size]
+     */
+    cells() {
+        const boundary = [];
+        const inside = [];
+        const visit = (i, j, size) => {
+            const corners = [
+                this.value(i, j), this.value(i + size, j),
+                this.value(i + size, j + size), this.value(i, j + size)
+            ].filter(v => !Number.isNaN(v));
+            if (!corners.length) return;
+
+            let crossing = corners.length < 4 || corners.some(v => (v > 0) !== (corners[0] > 0));
+            if (!crossing && size > 1) {
+                // Catch closed curves that fit between the corners
+                const center = this.value(i + size / 2, j + size / 2);
+                crossing = !Number.isNaN(center) && (center > 0) !== (corners[0] > 0);
+            }
+            if (!crossing) {
+                if (corners[0] > 0) inside.push([i, j, size]);
+                return;
+            }
+
+            if (size === 1) {
+                boundary.push([i, j, size]);
+                return;
+            }
+            const half = size / 2;
+            visit(i, j, half);
+            visit(i + half, j, half);
+            visit(i + half, j + half, half);
+            visit(i, j + half, half);
+        };
+
+        for (let column = 0; column < this.columns; column++) {
+            for (let row = 0; row < this.rows; row++) {
+                visit(column * this.coarseSize, row * this.coarseSize, this.coarseSize);
+            }
+        }
+        return { boundary, inside };
+    }
+
+    /**
+     * Corners and zero crossings of a finest-level cell
+     * @returns {Object|null} Corner nodes, values and crossing edges, null where undefined
+     */
+    cellEdges(i, j) {
+        const nodes = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]];
+        const values = nodes.map(node => this.value(...node));
+        if (values.some(Number.isNaN)) return null;
+
+        // Edge k joins corner k and corner k + 1
+        const edges = [];
+        for (let k = 0; k < 4; k++) {
+            const a = nodes[k];
+            const b = nodes[(k + 1) % 4];
+            if ((values[k] > 0) === (values[(k + 1) % 4] > 0)) continue;
+            const [first, second] = k < 2 ? [a, b] : [b, a];
+            const key = `${first}|${second}`;
+            edges.push({ index: k, key, ...this.crossing(key, first, second) });
+        }
+
+        // Saddle: the asymptotic decider tells whether corners 0 and 2 are connected
+        let diagonal = false;
+        if (edges.length === 4) {
+            const [v0, v1, v2, v3] = values;
+            const saddle = (v0 * v2 - v1 * v3) / (v0 + v2 - v1 - v3);
+            diagonal = (saddle > 0) === (v0 > 0);
+        }
+        return { nodes, values, edges, diagonal };
+    }
+
+    /**
+     * Zero crossing on the edge between two neighbouring grid nodes
+     * @returns {{point: Vec2, isPole: boolean}} Interpolated point, flagged when it is a pole
+     */
+    crossing(key, a, b) {
+        if (!this.crossings.has(key)) {
+            const va = this.value(...a);
+            const vb = this.value(...b);
+            const pa = this.point(...a);
+            const point = pa.add(this.point(...b).subtract(pa).scale(va / (va - vb)));
+            // A sign change through infinity grows towards the crossing instead of vanishing
+            const isPole = !(Math.abs(this.evaluate(point)) <= Math.max(Math.abs(va), Math.abs(vb)));
+            this.crossings.set(key, { point, isPole });
+        }
+        return this.crossings.get(key);
+    }
+
+    /**
+     * Line segments of the zero set, as pairs of edge keys
+     * @returns {string[][]} Segments
+     */
+    segments() {
+        const segments = [];
+        for (const [i, j] of this.cells().boundary) {
+            const cell = this.cellEdges(i, j);
+            if (!cell) continue;
+            const edges = cell.edges;
+
+            let pairs = [[edges[0], edges[1]]];
+            if (edges.length === 4) {
+                pairs = cell.diagonal ?
+                    [[edges[0], edges[1]], [edges[2], edges[3]]] :
+                    [[edges[3], edges[0]], [edges[1], edges[2]]];
+            }
+
+            for (const [start, end] of pairs) {
+                if (!start.isPole && !end.isPole) segments.push([start.key, end.key]);
+            }
+        }
+        return segments;
+    }
+
+    /**
+     * Zero set joined into polylines
+     * @returns {Path[]} Contour paths in world coordinates
+     */
+    contour() {
+        const segments = this.segments();
+        const byEdge = new Map();
+        segments.forEach((segment, index) => {
+            for (const key of segment) {
+                if (!byEdge.has(key)) byEdge.set(key, []);
+                byEdge.get(key).push(index);
+            }
+        });
+
+        const used = new Set();
+        const follow = (key) => {
+            const keys = [];
+            for (;;) {
+                const next = byEdge.get(key).find(index => !used.has(index));
+                if (next === undefined) return keys;
+                used.add(next);
+                const segment = segments[next];
+                key = segment[0] === key ? segment[1] : segment[0];
+                keys.push(key);
+            }
+        };
+
+        const paths = [];
+        segments.forEach((segment, index) => {
+            if (used.has(index)) return;
+            used.add(index);
+            const keys = [
+                ...follow(segment[0]).reverse(),
+                segment[0],
+                segment[1],
+                ...follow(segment[1])
+            ];
+            paths.push(new Path(keys.map(key => this.crossings.get(key).point)));
+        });
+        return paths;
+    }
+
+    /**
+     * Area where the field is positive
+     * @returns {Polygon[]} Counter-clockwise polygons in world coordinates
+     */
+    region() {
+        const { boundary, inside } = this.cells();
+        const polygons = inside.map(([i, j, size]) => new Polygon([
+            this.point(i, j), this.point(i + size, j),
+            this.point(i + size, j + size), this.point(i, j + size)
+        ]));
+
+        for (const [i, j] of boundary) {
+            const cell = this.cellEdges(i, j);
+            if (!cell) continue;
+            const corner = k => cell.values[k] > 0 ? [this.point(...cell.nodes[k])] : [];
+            const crossing = k => cell.edges.filter(edge => edge.index === k).map(edge => edge.point);
+
+            // Saddle whose positive corners stay apart: one triangle per corner
+            const positiveFirst = cell.values[0] > 0;
+            if (cell.edges.length === 4 && positiveFirst !== cell.diagonal) {
+                for (const k of positiveFirst ? [0, 2] : [1, 3]) {
+                    polygons.push(new Polygon([...corner(k), ...crossing(k), ...crossing((k + 3) % 4)]));
+                }
+                continue;
+            }
+            polygons.push(new Polygon(
+                [0, 1, 2, 3].flatMap(k => [...corner(k), ...crossing(k)])
+            ));
+        }
+        return polygons;
+    }
+}
+
 /**
  * Numerical Utilities
  */
@@ -564,5 +893,168 @@ const Numerical = {
     /** Inverse of 2D function */
     inverse2D(f) {
         return y => this.findRoot2D(x => f(x).subtract(y));
+    },
+
+    /**
+     * Integrate the autonomous system x' = f(x) with the adaptive
+     * Dormand-Prince Runge-Kutta 5(4) method
+     * @param {Function} f - Maps a state (Vec2) to its derivative (Vec2)
+     * @param {Vec2} initial - Starting state
+     * @param {Object} [options] - Integration options
+     * @param {number} [options.span=10] - Time to integrate, negative runs backwards
+     * @param {number} [options.tolerance=1e-6] - Allowed local error per step
+     * @param {number} [options.maxStep=Infinity] - Largest step size
+     * @param {number} [options.maxSteps=10000] - Step budget including rejected steps
+     * @param {Function} [options.stop] - Ends the trajectory at the first state it accepts
+     * @returns {Vec2[]} States at the accepted steps, starting with the initial state
+     */
+    rk45(f, initial, options = {}) {
+        const {
+            span = 10,
+            tolerance = 1e-6,
+            maxStep = Infinity,
+            maxSteps = 10000,
+            stop = () => false
+        } = options;
+
+        const combine = (x, h, weights, ks) => weights.reduce(
+            (sum, weight, i) => weight ? sum.add(ks[i].scale(h * weight)) : sum, x
+        );
+        const A = [
+            [],
+            [1/5],
+            [3/40, 9/40],
+            [44/45, -56/15, 32/9],
+            [19372/6561, -25360/2187, 64448/6561, -212/729],
+            [9017/3168, -355/33, 46732/5247, 49/176, -5103/18656],
+            [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84]
+        ];
+        // Difference between the fifth and fourth order weights
+        const E = [71/57600, 0, -71/16695, 71/1920, -17253/339200, 22/525, -1/40];
+
+        const direction = Math.sign(span);
+        const duration = Math.abs(span);
+        let x = initial;
+        let t = 0;
+        let h = Math.min(duration / 100, maxStep);
+        const states = [x];
+
+        for (let step = 0; step < maxSteps && t < duration && h > 1e-12 * duration; step++) {
+            h = Math.min(h, duration - t);
+            const ks = [];
+            for (const weights of A) {
+                ks.push(f(combine(x, direction * h, weights, ks)));
+            }
+            const next = combine(x, direction * h, A[6], ks);
+            const error = E.reduce((sum, weight, i) => sum.add(ks[i].scale(h * weight)), Vec2.ZERO).magnitude();
+            const scale = tolerance * Math.max(1, x.magnitude());
+
+            // Non-finite error or state: the solution blows up
+            if (!Number.isFinite(error) || !Number.isFinite(next.x) || !Number.isFinite(next.y)) break;
+
+            if (error <= scale) {
+                t += h;
+                x = next;
+                states.push(x);
+                if (stop(x)) break;
+            }
+            const factor = error > 0 ? 0.9 * Math.pow(scale / error, 1/5) : 5;
+            h = Math.min(h * clip(factor, 0.2, 5), maxStep);
+        }
+        return states;
+    },
+
+    /**
+     * Adaptively sample a curve into continuous paths
+     * @param {Function} curve - Maps a parameter to a screen point (Vec2)
+     * @param {number} t0 - Start of parameter range
+     * @param {number} t1 - End of parameter range
+     * @param {Object} [options] - Sampling options
+     * @param {number} [options.samples=100] - Initial uniform samples
+     * @param {number} [options.maxDepth=10] - Maximum bisections per sample interval
+     * @param {number} [options.tolerance=0.5] - Allowed deviation from a straight segment
+     * @param {number} [options.maxSegment=20] - Longest segment drawn without refining
+     * @param {number} [options.maxJump=50] - Longest segment kept at full depth, longer ones are discontinuities
+     * @param {number} [options.maxEvaluations=20000] - Evaluation budget for refinement
+     * @returns {Path[]} Continuous pieces of the curve
+     */
+    sampleCurve(curve, t0, t1, options = {}) {
+        const {
+            samples = 100,
+            maxDepth = 10,
+            tolerance = 0.5,
+            maxSegment = 20,
+            maxJump = 50,
+            maxEvaluations = 20000
+        } = options;
+
+        let evaluations = 0;
+        const evaluate = (t) => {
+            evaluations++;
+            try {
+                const point = curve(t);
+                if (point && Number.isFinite(point.x) && Number.isFinite(point.y)) return point;
+            } catch (e) {
+                // Undefined at t
+            }
+            return null;
+        };
+
+        const paths = [];
+        let current = [];
+        const breakPath = () => {
+            if (current.length > 1) paths.push(new Path(current));
+            current = [];
+        };
+
+        // Distance of the midpoint from the chord between the end points
+        const deviation = (a, m, b) => {
+            const chord = b.subtract(a);
+            const length = chord.magnitude();
+            if (length < Number.EPSILON) return m.distanceTo(a);
+            return Math.abs(chord.cross(m.subtract(a))) / length;
+        };
+
+        const refine = (ta, pa, tb, pb, depth) => {
+            const tm = (ta + tb) / 2;
+            const pm = evaluate(tm);
+
+            // Nothing defined here, skip the interval
+            if (!pa && !pm && !pb) return breakPath();
+
+            const defined = pa && pm && pb;
+            const smooth = defined &&
+                deviation(pa, pm, pb) <= tolerance &&
+                pa.distanceTo(pb) <= maxSegment;
+
+            if (smooth || (defined && evaluations > maxEvaluations)) {
+                current.push(pb);
+                return;
+            }
+
+            if (depth < maxDepth) {
+                refine(ta, pa, tm, pm, depth + 1);
+                refine(tm, pm, tb, pb, depth + 1);
+                return;
+            }
+
+            // Still not resolved at full depth: jump, pole or domain boundary
+            if (!defined || pa.distanceTo(pb) > maxJump) breakPath();
+            if (pb) current.push(pb);
+        };
+
+        const step = (t1 - t0) / samples;
+        let ta = t0;
+        let pa = evaluate(ta);
+        if (pa) current.push(pa);
+        for (let i = 1; i <= samples; i++) {
+            const tb = t0 + i * step;
+            const pb = evaluate(tb);
+            refine(ta, pa, tb, pb, 0);
+            ta = tb;
+            pa = pb;
+        }
+        breakPath();
+        return paths;
     }
 };
\ No newline at end of file
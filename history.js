@@ -0,0 +1,70 @@
+// ================== Command History ================== //
+class CommandHistory {
+    /**
+     * Undo and redo stacks of reversible commands
+     * @param {number} [limit=200] - Maximum number of undo steps kept
+     * @param {number} [coalesceDelay=1000] - Milliseconds within which commands with the same key merge
+     */
+    constructor(limit = 200, coalesceDelay = 1000) {
+        this.limit = limit;
+        this.coalesceDelay = coalesceDelay;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isApplying = false;
+    }
+
+    /**
+     * Record a command that has already been carried out
+     * @param {Object} command - Object with undo() and redo() functions
+     * @param {string} [coalesceKey] - Commands with the same key in quick succession form one step
+     */
+    record(command, coalesceKey) {
+        // Changes made while undoing or redoing are part of that step
+        if (this.isApplying) return;
+
+        const now = Date.now();
+        const last = this.undoStack.at(-1);
+        if (coalesceKey && last && last.coalesceKey === coalesceKey && now - last.time < this.coalesceDelay) {
+            last.redo = command.redo;
+            last.time = now;
+        } else {
+            this.undoStack.push({ undo: command.undo, redo: command.redo, coalesceKey, time: now });
+            if (this.undoStack.length > this.limit) this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /** Revert the last step */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return;
+        this.apply(command.undo);
+        this.redoStack.push(command);
+    }
+
+    /** Repeat the last reverted step */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return;
+        this.apply(command.redo);
+        // Never merge later edits into a redone step
+        command.time = 0;
+        this.undoStack.push(command);
+    }
+
+    /** Forget all steps */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    // ================== Internal Helpers ================== //
+    apply(action) {
+        this.isApplying = true;
+        try {
+            action();
+        } finally {
+            this.isApplying = false;
+        }
+    }
+}
@@ -1,22 +1,104 @@
 
 // ================== Main Initialization ================== //
 $(function() {
-    // Create world and default shapes
+    // Create world, restoring a linked scene or adding default shapes
     const worldInstance = new World($("#visualization-canvas")[0], []);
-    new InfiniteGrid(worldInstance);
-    new Axes(worldInstance);
+    const loadLinkedScene = function() {
+        try {
+            const linkedScene = Scene.fromHash(location.hash);
+            if (linkedScene) Scene.load(worldInstance, linkedScene);
+        } catch (error) {
+            console.error("Loading linked scene failed:", error);
+        }
+    };
+    loadLinkedScene();
+    if (!worldInstance.shapes.length) {
+        new InfiniteGrid(worldInstance);
+        new Axes(worldInstance);
+    }
     
     // Bind event listeners
     $("#visualization-canvas")
-        .on('mousedown', worldInstance.handleMouseDown)
-        .on('mouseup mouseleave', worldInstance.handleMouseUp)
-        .on('mousemove', worldInstance.handleMouseMove)
-        .on('wheel', worldInstance.handleMouseScroll);
+        .on('pointerdown', worldInstance.handlePointerDown)
+        .on('pointerup pointercancel', worldInstance.handlePointerUp)
+        .on('pointerleave', worldInstance.handlePointerLeave)
+        .on('pointermove', worldInstance.handlePointerMove)
+        .on('wheel', worldInstance.handleMouseScroll)
+        .on('keydown', worldInstance.handleKeyDown);
     
-    $('#new-graph').on('click', function() {new FunctionGraph(worldInstance)})
-    $('#new-grid').on('click', function() {new InfiniteGrid(worldInstance)})
-    $('#new-axes').on('click', function() {new Axes(worldInstance)})
-    $('#new-transform').on('click', function() {new Transformation(worldInstance)})
+    // Shapes added from the panel can be undone
+    const addShape = function(ShapeClass) {
+        const shape = new ShapeClass(worldInstance);
+        worldInstance.history.record({
+            undo: () => shape.delete(),
+            redo: () => shape.restore()
+        });
+    };
+
+    $('#new-graph').on('click', function() {addShape(FunctionGraph)})
+    $('#new-grid').on('click', function() {addShape(InfiniteGrid)})
+    $('#new-axes').on('click', function() {addShape(Axes)})
+    $('#new-transform').on('click', function() {addShape(Transformation)})
+    $('#new-linear').on('click', function() {addShape(LinearMap)})
+    $('#new-curve').on('click', function() {addShape(ParametricCurve)})
+    $('#new-polar').on('click', function() {addShape(PolarCurve)})
+    $('#new-implicit').on('click', function() {addShape(ImplicitCurve)})
+    $('#new-region').on('click', function() {addShape(Region)})
+    $('#new-field').on('click', function() {addShape(VectorField)})
+    $('#new-trajectory').on('click', function() {addShape(Trajectory)})
+    $('#new-domain').on('click', function() {addShape(DomainColoring)})
+    $('#new-parameter').on('click', function() {addShape(Parameter)})
+    $('#new-function-def').on('click', function() {addShape(FunctionDefinition)})
+    $('#new-point').on('click', function() {addShape(Point)})
+    $('#new-vector').on('click', function() {addShape(Vector)})
+
+    $('#save-scene').on('click', function() {Scene.download(worldInstance)})
+    $('#load-scene').on('click', function() {$('#scene-file').val('').click()})
+    $('#scene-file').on('change', function() {
+        Scene.upload(worldInstance, this.files[0])
+            .catch(error => console.error("Loading scene failed:", error));
+    })
+    $('#link-scene').on('click', function() {
+        history.replaceState(null, "", `#${Scene.toHash(worldInstance)}`);
+        // Without clipboard access, e.g. on pages opened from disk, the link is shown for copying by hand
+        const showLink = () => window.prompt("Copy the link to this scene:", location.href);
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(location.href).catch(showLink);
+        } else {
+            showLink();
+        }
+    })
+    $(window).on('hashchange', loadLinkedScene)
+
+    $('#export-svg').on('click', function() {
+        Scene.exportSVG(worldInstance, $('#export-background').val());
+    })
+    $('#export-png').on('click', function() {
+        Scene.exportPNG(worldInstance, $('#export-background').val(), Number($('#export-scale').val()) || 1)
+            .catch(error => console.error("PNG export failed:", error));
+    })
+
+    // Arrow keys walk the hover trace along its graph
+    $(document).on('keydown', function(event) {
+        if (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight') return;
+        if ($(event.target).is('input, select')) return;
+        const pixels = (event.key === 'ArrowLeft' ? -2 : 2) * (event.shiftKey ? 10 : 1);
+        if (worldInstance.trace.step(pixels)) event.preventDefault();
+    })
+
+    $(document).on('keydown', function(event) {
+        if (!(event.ctrlKey || event.metaKey)) return;
+        const key = event.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+        // Text fields keep their own undo while typing
+        if ($(event.target).is('input[type="text"]')) return;
+        event.preventDefault();
+        if (key === 'y' || event.shiftKey) {
+            worldInstance.history.redo();
+        } else {
+            worldInstance.history.undo();
+        }
+    })
 
     // Initial render
     worldInstance.draw();
@@ -41,13 +41,62 @@ function determineGridLineRank(num) {
 /**
  * Creates derivative function using central difference method
  * @param {Function} func - Original function
+ * @param {number} [dx=1e-5] - Difference step
  * @returns {Function} Derivative function
  */
-function derivative(func) {
-    const dx = 1e-5;
+function derivative(func, dx = 1e-5) {
     return x => (func(x + dx) - func(x - dx)) / (2 * dx);
 }
 
+/**
+ * Integrates a function using adaptive Simpson quadrature
+ * @param {Function} func - Integrand
+ * @param {number} a - Lower bound
+ * @param {number} b - Upper bound
+ * @param {number} [tolerance=1e-9] - Error target relative to the size of the integral
+ * @param {number} [maxDepth=16] - Maximum number of interval halvings
+ * @returns {number} Approximate integral, NaN if the integrand is not finite on the interval
+ *     or the estimates do not settle even on the smallest panels, as across a pole
+ */
+function integrate(func, a, b, tolerance = 1e-9, maxDepth = 16) {
+    if (a === b) return 0;
+    const fa = func(a);
+    const fm = func((a + b) / 2);
+    const fb = func(b);
+    const whole = (b - a) / 6 * (fa + 4 * fm + fb);
+    // Scale of the integral, also for integrands that happen to vanish at the three samples
+    const scale = Math.abs(b - a) * Math.max(
+        Math.abs(fa), Math.abs(fm), Math.abs(fb), Math.abs(func((3 * a + b) / 4)), Math.abs(func((a + 3 * b) / 4))
+    );
+    const panels = { unsettled: 0, size: 0 };
+    const value = simpsonStep(func, a, b, fa, fm, fb, whole, tolerance * Math.max(Math.abs(whole), scale), maxDepth, panels);
+    return panels.unsettled > 1e-2 * panels.size ? NaN : value;
+}
+
+/**
+ * Splits an interval in two and refines each half until Simpson's rule agrees with itself
+ * @param {Object} panels - Totals over the final panels: the error left where the depth ran out, and the sum of |estimate|
+ * @returns {number} Integral over [a, b]
+ */
+function simpsonStep(func, a, b, fa, fm, fb, whole, tolerance, depth, panels) {
+    const m = (a + b) / 2;
+    const flm = func((a + m) / 2);
+    const frm = func((m + b) / 2);
+    const left = (m - a) / 6 * (fa + 4 * flm + fm);
+    const right = (b - m) / 6 * (fm + 4 * frm + fb);
+    const delta = left + right - whole;
+
+    if (!Number.isFinite(delta)) return NaN;
+    const settled = Math.abs(delta) <= 15 * tolerance;
+    if (depth <= 0 || settled) {
+        if (!settled) panels.unsettled += Math.abs(delta);
+        panels.size += Math.abs(left) + Math.abs(right);
+        return left + right + delta / 15;
+    }
+    return simpsonStep(func, a, m, fa, flm, fm, left, tolerance / 2, depth - 1, panels)
+        + simpsonStep(func, m, b, fm, frm, fb, right, tolerance / 2, depth - 1, panels);
+}
+
 /**
  * Finds function root using Newton-Raphson method
  * @param {Function} func - Target function
@@ -68,6 +117,62 @@ function findRoot(func, initialGuess = 0, iterations = 10) {
     return x;
 }
 
+/**
+ * Narrows a sign change by bisection, then polishes it with Newton-Raphson
+ * @param {Function} func - Target function
+ * @param {number} a - Bracket start
+ * @param {number} b - Bracket end, func(b) of opposite sign to func(a)
+ * @param {number} [iterations=30] - Bisection steps
+ * @returns {number} Root inside the bracket
+ */
+function bracketedRoot(func, a, b, iterations = 30) {
+    let fa = func(a);
+    for (let i = 0; i < iterations; i++) {
+        const mid = (a + b) / 2;
+        const fm = func(mid);
+        if (fm === 0) return mid;
+        if (fa * fm < 0) {
+            b = mid;
+        } else {
+            a = mid;
+            fa = fm;
+        }
+    }
+    // Newton may jump out of the bracket, in which case bisection's answer stands
+    const polished = findRoot(func, (a + b) / 2, 5);
+    return polished >= a && polished <= b ? polished : (a + b) / 2;
+}
+
+/**
+ * Finds all roots in an interval by bracketing sign changes between samples
+ * @param {Function} func - Target function
+ * @param {number} min - Interval start
+ * @param {number} max - Interval end
+ * @param {number} [samples=400] - Number of subintervals searched
+ * @returns {number[]} Roots in increasing order, poles excluded
+ */
+function findRoots(func, min, max, samples = 400) {
+    const roots = [];
+    const step = (max - min) / samples;
+    let a = min;
+    let fa = func(a);
+    for (let i = 1; i <= samples; i++) {
+        const b = min + i * step;
+        const fb = func(b);
+        if (fa === 0) {
+            roots.push(a);
+        } else if (fa * fb < 0) {
+            const root = bracketedRoot(func, a, b);
+            // Poles change sign too, but grow instead of vanishing
+            if (Math.abs(func(root)) <= Math.min(Math.abs(fa), Math.abs(fb))) roots.push(root);
+        }
+        a = b;
+        fa = fb;
+    }
+    if (fa === 0) roots.push(max);
+    return roots;
+}
+
 /**
  * Creates inverse function using root finding
  * @param {Function} func - Original function
@@ -75,4 +180,113 @@ function findRoot(func, initialGuess = 0, iterations = 10) {
  */
 function inverse(func) {
     return y => findRoot(x => func(x) - y);
-}
\ No newline at end of file
+}
+
+/**
+ * Converts an expression result to a real number
+ * @param {*} value - Result of a math.js evaluation
+ * @returns {number} Real value, NaN for complex or non-numeric results
+ */
+function toReal(value) {
+    if (typeof value === "number") return value;
+    if (value && value.isComplex && Math.abs(value.im) < 1e-12) return value.re;
+    return NaN;
+}
+
+/**
+ * Parse a list of points such as "[1, 0], [2, 0]"
+ * @param {string} text - Comma separated [x, y] pairs
+ * @param {Object} [scope] - Variables the coordinates may use
+ * @returns {Vec2[]} Points
+ */
+function parsePoints(text, scope = {}) {
+    const values = math.evaluate(`[${text}]`, { ...scope }).toArray();
+    const pairs = typeof values[0] === "number" ? [values] : values;
+    return pairs.map(([x, y]) => new Vec2(toReal(x), toReal(y)));
+}
+
+/**
+ * Whether math.js provides a name to expressions: a function when called, otherwise a
+ * constant such as pi, i or speedOfLight rather than an export like version or config
+ * @param {string} name - Symbol in an expression
+ * @param {boolean} called - Whether the symbol is called as a function
+ * @returns {boolean}
+ */
+function isMathName(name, called) {
+    if (!Object.hasOwn(math, name)) return false;
+    const value = math[name];
+    if (called) return typeof value === "function";
+    return typeof value === "number" || Boolean(value?.isComplex || value?.isBigNumber || value?.isUnit);
+}
+
+/**
+ * Error message of an evaluation with the variable values it failed at
+ * @param {Error} error - Thrown error
+ * @param {Object} [variables] - Values the expression was evaluated with, such as {x: -2}
+ * @returns {string} Message such as "Value must be non-negative (at x = -2)"
+ */
+function evaluationErrorMessage(error, variables = {}) {
+    const values = [];
+    for (const [name, value] of Object.entries(variables ?? {})) {
+        if (typeof value === "number") {
+            values.push(`${name} = ${Number(value.toPrecision(6))}`);
+        } else if (value?.isComplex) {
+            values.push(`${name} = ${value.format(6)}`);
+        }
+    }
+    return values.length ? `${error.message} (at ${values.join(", ")})` : error.message;
+}
+
+/**
+ * Power-of-ten grid spacing for a zoom level
+ * @param {number} zoomLevel - Screen pixels per world unit
+ * @param {number} size - Largest cell size in pixels
+ * @returns {number} Cell size in world units
+ */
+function cellSizeForZoom(zoomLevel, size) {
+    return Math.pow(0.1, Math.ceil(Math.log10(zoomLevel / size)));
+}
+
+/**
+ * Converts an HSV colour to RGB
+ * @param {number} h - Hue in turns (0-1)
+ * @param {number} s - Saturation (0-1)
+ * @param {number} v - Value (0-1)
+ * @returns {number[]} Red, green and blue channels (0-255)
+ */
+function hsvToRgb(h, s, v) {
+    const channel = (n) => {
+        const k = (n + h * 6) % 6;
+        return Math.round(255 * (v - v * s * clip(Math.min(k, 4 - k), 0, 1)));
+    };
+    return [channel(5), channel(3), channel(1)];
+}
+
+/**
+ * Tick spacing on the grid's power-of-ten scale, subdivided by 1, 2 or 5
+ * @param {number} zoomLevel - Screen pixels per world unit
+ * @param {number} minSpacing - Smallest tick distance in pixels
+ * @returns {number} Tick spacing in world units
+ */
+function tickStep(zoomLevel, minSpacing) {
+    const cellSize = cellSizeForZoom(zoomLevel, minSpacing);
+    return [1, 2, 5, 10]
+        .map(factor => factor * cellSize)
+        .find(step => step * zoomLevel >= minSpacing);
+}
+
+/**
+ * Formats a tick value with as many digits as its spacing needs
+ * @param {number} value - Tick value
+ * @param {number} step - Tick spacing
+ * @returns {string} Label text
+ */
+function formatTickLabel(value, step) {
+    if (Math.abs(value) < step / 2) return "0";
+    const magnitude = Math.abs(value);
+    if (magnitude >= 1e6 || magnitude < 1e-4) {
+        const digits = Math.floor(Math.log10(magnitude)) - Math.floor(Math.log10(step));
+        return value.toExponential(clip(digits, 0, 15));
+    }
+    return value.toFixed(clip(-Math.floor(Math.log10(step)), 0, 15));
+}
@@ -0,0 +1,142 @@
+// ================== Scene Persistence ================== //
+const Scene = {
+    /** Format version written into every scene document */
+    VERSION: 1,
+
+    /** Versioned JSON document of the world and its shapes */
+    toJSON(world) {
+        return { version: this.VERSION, ...world.serialize() };
+    },
+
+    /**
+     * Restore a scene document into the world
+     * @param {World} world - World to replace the contents of
+     * @param {Object} scene - Document created by toJSON
+     */
+    load(world, scene) {
+        if (scene?.version !== this.VERSION) {
+            throw new Error(`Unsupported scene version ${scene?.version}`);
+        }
+        world.deserialize(scene);
+    },
+
+    // ================== URL Hash ================== //
+    /** Scene encoded as a "scene=..." URL hash (base64url of the JSON) */
+    toHash(world) {
+        const bytes = new TextEncoder().encode(JSON.stringify(this.toJSON(world)));
+        let binary = "";
+        for (const byte of bytes) {
+            binary += String.fromCharCode(byte);
+        }
+        const encoded = btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+        return `scene=${encoded}`;
+    },
+
+    /**
+     * Decode a URL hash created by toHash
+     * @param {string} hash - location.hash, with or without the leading "#"
+     * @returns {Object|null} Scene document, null if the hash holds none
+     */
+    fromHash(hash) {
+        const match = /^#?scene=([\w-]+)$/.exec(hash);
+        if (!match) return null;
+        const binary = atob(match[1].replace(/-/g, "+").replace(/_/g, "/"));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    },
+
+    // ================== Files ================== //
+    /** Download the scene as a JSON file */
+    download(world, filename = "scene.json") {
+        const blob = new Blob([JSON.stringify(this.toJSON(world), null, 2)], { type: "application/json" });
+        this.saveBlob(blob, filename);
+    },
+
+    /**
+     * Load a scene from a JSON file
+     * @param {World} world - World to replace the contents of
+     * @param {File} file - File chosen by the user
+     * @returns {Promise} Resolves once the scene is loaded
+     */
+    upload(world, file) {
+        return file.text().then(text => this.load(world, JSON.parse(text)));
+    },
+
+    // ================== Export ================== //
+    /**
+     * Self-contained SVG markup of the current view
+     * @param {World} world - World to export
+     * @param {string} background - Background colour
+     * @returns {string} SVG document
+     */
+    svgMarkup(world, background) {
+        // Grids the worker has not answered yet are computed here instead
+        world.synchronous = true;
+        try {
+            world.shapes.filter(shape => TransformationGrid.latest.has(shape.id)).forEach(shape => world.redraw(shape));
+            world.render();
+        } finally {
+            world.synchronous = false;
+        }
+        const viewport = world.getViewportRect(0);
+        const svg = world.svg.cloneNode(true);
+        svg.removeAttribute("id");
+        svg.setAttribute("width", viewport.width);
+        svg.setAttribute("height", viewport.height);
+        svg.setAttribute("viewBox", `0 0 ${viewport.width} ${viewport.height}`);
+        svg.setAttribute("font-family", "sans-serif");
+
+        for (const shape of world.shapes) {
+            if (shape.attrs.hidden) svg.querySelector(`#${shape.svg_id}`)?.remove();
+        }
+        // Hover trace and other interaction aids are not part of the picture
+        svg.querySelectorAll(".overlay").forEach(element => element.remove());
+
+        const backgroundRect = document.createElementNS(world.svgNS, "rect");
+        backgroundRect.setAttribute("width", viewport.width);
+        backgroundRect.setAttribute("height", viewport.height);
+        backgroundRect.setAttribute("fill", background);
+        svg.insertBefore(backgroundRect, svg.firstChild);
+
+        return new XMLSerializer().serializeToString(svg);
+    },
+
+    /** Download the current view as an SVG file */
+    exportSVG(world, background, filename = "plot.svg") {
+        const blob = new Blob([this.svgMarkup(world, background)], { type: "image/svg+xml" });
+        this.saveBlob(blob, filename);
+    },
+
+    /**
+     * Download the current view as a PNG file
+     * @param {World} world - World to export
+     * @param {string} background - Background colour
+     * @param {number} multiplier - Output pixels per screen pixel
+     * @returns {Promise} Resolves once the file is saved
+     */
+    exportPNG(world, background, multiplier = 2, filename = "plot.png") {
+        const viewport = world.getViewportRect(0);
+        const image = new Image();
+        return new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = () => reject(new Error("Rasterizing the SVG failed"));
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(this.svgMarkup(world, background))}`;
+        }).then(() => {
+            const canvas = document.createElement("canvas");
+            canvas.width = Math.round(viewport.width * multiplier);
+            canvas.height = Math.round(viewport.height * multiplier);
+            canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+            return new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+        }).then(blob => this.saveBlob(blob, filename));
+    },
+
+    /** Offer a blob to the user as a file download */
+    saveBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+};
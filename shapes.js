@@ -16,11 +16,18 @@ class Shape {
 
     static specific_attributes = {};
 
+    static grab_distance = 10;  // Pixels
+
     constructor(world, provided_attrs = {}) {
         this.world = world;
         this.id = world.id++;
         this.svg_id = `svg_${this.id}`;
         this.control_id = `control_${this.id}`;
+        this.inputs = {};
+        this.error_labels = {};
+        this.evaluation_errors = {};
+        this.evaluation_successes = new Set();     // Expressions that gave a usable value since the last draw
+        this.element = null;
 
         // Merge general + specific defaults + provided values
         this.attrs = Shape.mergeDefaults(
@@ -55,10 +62,20 @@ class Shape {
 
         ui_module.appendChild(general_container);
         ui_module.appendChild(specific_container);
+
+        // Failures of the drawing itself rather than of one expression
+        this.draw_error_label = document.createElement("div");
+        this.draw_error_label.classList.add("attribute-error");
+        ui_module.appendChild(this.draw_error_label);
         document.getElementById("control-panel").appendChild(ui_module);
+        this.ui_module = ui_module;
 
         world.shapes.push(this);
         this.update();
+
+        // Shapes that already use a name defined here need redrawing
+        this.provided = this.providedNames();
+        if (this.provided.length) world.invalidate(this.provided);
     }
 
     static mergeDefaults(general_meta, specific_meta, provided) {
@@ -82,9 +99,19 @@ class Shape {
         label.textContent = `${meta.label}:`;
         const input_container = document.createElement("div");
         input_container.classList.add("attribute-value-container");
-        const input = document.createElement("input");
+        const input = document.createElement(meta.type === "select" ? "select" : "input");
         input.classList.add("attribute-value")
-        input.type = meta.type;
+
+        if (meta.type === "select") {
+            for (const option of meta.options) {
+                const option_element = document.createElement("option");
+                option_element.value = option;
+                option_element.textContent = option;
+                input.appendChild(option_element);
+            }
+        } else {
+            input.type = meta.type;
+        }
 
         if (meta.type === "range") {
             if (meta.min !== undefined) input.min = meta.min;
@@ -102,53 +129,366 @@ class Shape {
             input.addEventListener("click", (e) => meta.on_click(this))
         } else {
             input.addEventListener("input", (e) => {
-                this.attrs[key] = meta.type === "checkbox" ? e.target.checked : e.target.value;
-                this.update();
+                this.editAttribute(key, meta.type === "checkbox" ? e.target.checked : e.target.value);
             });
         }
 
-        if (meta.type === "color" || meta.type === "range" || meta.type === "checkbox") {
+        if (meta.type === "color" || meta.type === "range" || meta.type === "checkbox" || meta.type === "select") {
             input.addEventListener("change", (e) => {
-                this.attrs[key] = meta.type === "checkbox" ? e.target.checked : e.target.value;
-                this.update();
+                this.editAttribute(key, meta.type === "checkbox" ? e.target.checked : e.target.value);
             });
         }
 
+        this.inputs[key] = input;
         input_container.appendChild(input);
+        if (meta.expression) {
+            const error_label = document.createElement("div");
+            error_label.classList.add("attribute-error");
+            this.error_labels[key] = error_label;
+            input_container.appendChild(error_label);
+        }
         wrapper.appendChild(label);
         wrapper.appendChild(input_container);
         return wrapper;
     }
 
+    /** Class name and attribute values, enough to rebuild the shape */
+    serialize() {
+        const attrs = {};
+        for (const [key, value] of Object.entries(this.attrs)) {
+            if (value !== undefined) attrs[key] = value;
+        }
+        return { type: this.constructor.name, attrs };
+    }
+
+    /** Rebuild a shape from its serialized form */
+    static deserialize(world, data) {
+        const ShapeClass = ShapeTypes[data.type];
+        if (!ShapeClass) throw new Error(`Unknown shape type "${data.type}"`);
+        return new ShapeClass(world, data.attrs);
+    }
+
+    /** Change an attribute as a user edit that can be undone */
+    editAttribute(key, value) {
+        const previous = this.attrs[key];
+        if (previous === value) return;
+        this.world.history.record({
+            undo: () => this.setAttribute(key, previous),
+            redo: () => this.setAttribute(key, value)
+        }, `${this.id}:${key}`);
+        this.setAttribute(key, value);
+    }
+
+    /** Change an attribute, keeping its control in sync */
+    setAttribute(key, value) {
+        this.attrs[key] = value;
+        const input = this.inputs[key];
+        if (input?.type === "checkbox") {
+            input.checked = value;
+        } else if (input && input.value !== String(value)) {
+            input.value = value;
+        }
+        this.changed(key);
+    }
+
+    /** React to an attribute change, by default redraw this shape and its dependents */
+    changed(key) {
+        this.update();
+        const names = new Set([...this.provided, ...this.providedNames()]);
+        this.provided = this.providedNames();
+        if (names.size) this.world.invalidate(names);
+    }
+
+    /** Add the variables this shape provides to an expression scope */
+    defineScope(scope) {}
+
+    /** Add what defineScope provides as plain data, for scopes rebuilt in a worker */
+    describeScope(description) {}
+
+    /** Names of the variables and functions this shape adds to the scope */
+    providedNames() {
+        return [];
+    }
+
+    /** Names used by this shape's expression attributes */
+    dependencies() {
+        const keys = Object.keys(this.error_labels);
+        const source = keys.map(key => String(this.attrs[key]));
+        if (this.dependency_cache?.source === source.join("\n")) return this.dependency_cache.names;
+
+        const names = new Set();
+        for (const key of keys) {
+            try {
+                this.parseExpression(key).traverse(node => {
+                    if (node.isSymbolNode) names.add(node.name);
+                });
+            } catch (error) {
+                // Unparsable expressions use nothing until they are fixed
+            }
+        }
+        this.dependency_cache = { source: source.join("\n"), names };
+        return names;
+    }
+
+    /** Parsed expression of an attribute, with lists of points wrapped in brackets */
+    parseExpression(key) {
+        const text = String(this.attrs[key]);
+        return math.parse(this.constructor.specific_attributes[key].list ? `[${text}]` : text);
+    }
+
+    /** Variables an expression attribute may use besides the scope, such as x for a graph */
+    expressionVariables(key) {
+        return this.constructor.specific_attributes[key].variables ?? [];
+    }
+
+    /** Expression attributes the current drawing is made from */
+    activeExpressions() {
+        return Object.keys(this.error_labels);
+    }
+
+    /**
+     * Check an expression attribute for syntax errors and unknown names
+     * @param {string} key - Expression attribute
+     * @param {Object} scope - Variables and functions defined by the world
+     * @returns {string|null} Error message with its position, null if valid
+     */
+    validateExpression(key, scope) {
+        const text = String(this.attrs[key]);
+        const offset = this.constructor.specific_attributes[key].list ? 1 : 0;
+        let node;
+        try {
+            node = this.parseExpression(key);
+        } catch (error) {
+            if (error.char === undefined) return error.message;
+            const position = Math.min(error.char - offset, text.length + 1);
+            return `${error.message.replace(/ \(char \d+\)$/, "")} (char ${position})`;
+        }
+
+        const variables = this.expressionVariables(key);
+        let message = null;
+        node.traverse((child, path, parent) => {
+            if (message || !child.isSymbolNode) return;
+            const name = child.name;
+            const called = Boolean(parent?.isFunctionNode && parent.fn === child);
+            if (variables.includes(name) || Object.hasOwn(scope, name) || isMathName(name, called)) return;
+            const kind = called ? "function" : "variable";
+            const position = text.search(new RegExp(`(?<![\\w$])${name.replace(/\$/g, "\\$")}(?![\\w$])`)) + 1;
+            message = `Unknown ${kind} "${name}"${position > 0 ? ` (char ${position})` : ""}`;
+        });
+        return message;
+    }
+
+    /** Show each expression's error under its input, clearing the others */
+    showErrors(errors) {
+        for (const [key, label] of Object.entries(this.error_labels)) {
+            const message = errors[key] ?? "";
+            label.textContent = message;
+            this.inputs[key].classList.toggle("invalid", message !== "");
+            label.closest(".attribute-row")?.classList.toggle("invalid", message !== "");
+        }
+    }
+
+    /**
+     * Wrap a function so that its errors are reported against an attribute,
+     * with the values of the first argument's variables where it failed
+     * @param {string} key - Attribute the errors belong to
+     * @param {Function} func - Function to wrap
+     * @param {*} [fallback=NaN] - Result when func throws
+     * @returns {Function} Function that does not throw
+     */
+    guard(key, func, fallback = NaN) {
+        return (...args) => {
+            let result;
+            try {
+                result = func(...args);
+            } catch (error) {
+                this.evaluation_errors[key] ??= evaluationErrorMessage(error, args[0]);
+                return fallback;
+            }
+            const finite = typeof result === "number" ? Number.isFinite(result) :
+                result instanceof Vec2 ? Number.isFinite(result.x) && Number.isFinite(result.y) : result != null;
+            if (finite) this.evaluation_successes.add(key);
+            return result;
+        };
+    }
+
+    /**
+     * Compile an expression attribute into a function of its variables
+     * @param {string} key - Expression attribute
+     * @param {Object} scope - Variables and functions defined by the world
+     * @returns {Function} Takes an object of variables such as {x: 1}, NaN where evaluation fails
+     */
+    compileExpression(key, scope) {
+        let compiled;
+        try {
+            compiled = math.compile(String(this.attrs[key]));
+        } catch (error) {
+            this.evaluation_errors[key] ??= error.message;
+            return () => NaN;
+        }
+        return this.guard(key, (variables = {}) => compiled.evaluate({ ...scope, ...variables }));
+    }
+
+    /**
+     * Start dragging this shape if a press at a screen point hits it. The world
+     * asks the topmost shapes first and pans the view when none is hit.
+     * @param {Vec2} screen_point - Pointer position
+     * @returns {{move: Function, end: Function}|null} move receives world points, null if missed
+     */
+    grab(screen_point) {
+        return null;
+    }
+
+    /**
+     * Drag that sets attributes from the pointer, recorded as one undo step on release
+     * @param {Function} place - Maps a world point to the new attribute values
+     */
+    createDrag(place) {
+        const round = value => Number(value.toPrecision(6));
+        const start = {};
+        const setAll = values => Object.entries(values).forEach(([key, value]) => this.setAttribute(key, value));
+        return {
+            move: world_point => {
+                for (const [key, value] of Object.entries(place(world_point))) {
+                    start[key] ??= this.attrs[key];
+                    this.setAttribute(key, round(value));
+                }
+            },
+            end: () => {
+                const end = Object.fromEntries(Object.keys(start).map(key => [key, this.attrs[key]]));
+                if (Object.keys(start).every(key => start[key] === end[key])) return;
+                this.world.history.record({
+                    undo: () => setAll(start),
+                    redo: () => setAll(end)
+                });
+            }
+        };
+    }
+
+    /** Whether any of the names is used by this shape */
+    dependsOn(names) {
+        for (const name of this.dependencies()) {
+            if (names.has(name)) return true;
+        }
+        return false;
+    }
+
     delete() {
-        document.getElementById(this.svg_id)?.remove();
-        document.getElementById(this.control_id)?.remove();
-        this.world.shapes.splice(this.world.shapes.indexOf(this), 1);
+        const index = this.world.shapes.indexOf(this);
+        this.element?.remove();
+        this.element = null;
+        this.ui_module.remove();
+        this.world.shapes.splice(index, 1);
+        this.world.history.record({
+            undo: () => this.restore(index),
+            redo: () => this.delete()
+        });
+        if (this.provided.length) this.world.invalidate(this.provided);
         return;
     }
 
+    /** Put a deleted shape back at its place in the world and control panel */
+    restore(index = this.world.shapes.length) {
+        const next = this.world.shapes[index];
+        const control_panel = document.getElementById("control-panel");
+        control_panel.insertBefore(this.ui_module, next ? next.ui_module : null);
+        this.world.shapes.splice(index, 0, this);
+        this.world.draw();
+    }
+
+    /** Redraw this shape in the next frame */
     update() {
-        document.getElementById(this.svg_id)?.remove();
-        if (this.attrs.hidden) return;
-        const svg_element = this.draw();
+        this.world.redraw(this);
+    }
+
+    /** Replace this shape's element with a freshly drawn one, unless its expressions are broken */
+    render() {
+        if (this.attrs.hidden) {
+            this.element?.remove();
+            this.element = null;
+            return;
+        }
+
+        const scope = this.world.getScope();
+        const errors = {};
+        for (const key of Object.keys(this.error_labels)) {
+            const message = this.validateExpression(key, scope);
+            if (message) errors[key] = message;
+        }
+
+        // The last good drawing stays until the errors are fixed
+        let svg_element = null;
+        const active = this.activeExpressions();
+        if (!active.some(key => errors[key])) {
+            this.evaluation_errors = {};
+            this.evaluation_successes = new Set();
+            this.draw_error_label.textContent = "";
+            try {
+                svg_element = this.draw();
+            } catch (error) {
+                // Expression errors are caught by guard, so this is not any one input's fault
+                console.error(`Drawing ${this.attrs.name} failed:`, error);
+                this.draw_error_label.textContent = `Drawing failed: ${error.message}`;
+            }
+            // Points that fail only break the drawing there, an expression that never gives a value keeps the last one
+            for (const [key, message] of Object.entries(this.evaluation_errors)) {
+                errors[key] ??= message;
+                if (!this.evaluation_successes.has(key)) svg_element = null;
+            }
+        }
+        this.showErrors(errors);
+        if (svg_element) this.replaceElement(svg_element);
+    }
+
+    /** Put a drawn element in the place of the current one */
+    replaceElement(svg_element) {
         svg_element.id = this.svg_id;
-        this.world.svg.appendChild(svg_element);
+        if (this.element) {
+            this.world.layer.replaceChild(svg_element, this.element);
+        } else {
+            // The next frame moves it into shape order
+            this.world.layer.appendChild(svg_element);
+            this.world.requestFrame();
+        }
+        this.element = svg_element;
     }
 
     // ===== Helpers for drawing =====
-    createPath(path, stroke=this.attrs.stroke, color=this.attrs.color) {
+    createPath(path, stroke=this.attrs.stroke, color=this.attrs.color, fill="none") {
+        return this.createPaths([path], stroke, color, fill);
+    }
+
+    /** Draw several disconnected paths as one SVG path element, polygons closed */
+    createPaths(paths, stroke=this.attrs.stroke, color=this.attrs.color, fill="none") {
+        let pathData = "";
+        for (const path of paths) {
+            pathData += "M";
+            for (const vertice of path.vertices) {
+                pathData += `${vertice.x},${vertice.y} `;
+            }
+            if (path instanceof Polygon) pathData += "Z ";
+        }
+        return this.createPathElement(pathData, stroke, color, fill);
+    }
+
+    /** SVG path element from raw path data */
+    createPathElement(pathData, stroke=this.attrs.stroke, color=this.attrs.color, fill="none") {
         const pathElement = document.createElementNS(this.world.svgNS, "path");
         pathElement.setAttribute("stroke", color);
         pathElement.setAttribute("stroke-width", stroke);
-        pathElement.setAttribute("fill", "none");
-        let pathData = "M";
-        for (const vertice of path.vertices) {
-            pathData += `${vertice.x},${vertice.y} `;
-        }
+        pathElement.setAttribute("fill", fill);
         pathElement.setAttribute("d", pathData);
         return pathElement;
     }
 
+    /** Path data of a line with an arrow head at its end */
+    arrowPathData(start, end, headLength = 20) {
+        const arrow_vector = end.subtract(start).normalized();
+        const left_point = end.add(arrow_vector.complexMultiply(new Vec2(-headLength, headLength / 2)));
+        const right_point = end.add(arrow_vector.complexMultiply(new Vec2(-headLength, -headLength / 2)));
+        return `M${start.x},${start.y} L${end.x},${end.y} M${left_point.x},${left_point.y} L${end.x},${end.y} L${right_point.x},${right_point.y}`;
+    }
+
     // Override in subclasses
     draw() {
         return document.createElementNS(this.world.svgNS, "g");
@@ -165,8 +505,7 @@ class InfiniteGrid extends Shape {
 
     draw() {
         const zoomLevel = Math.sqrt(Math.abs(this.world.worldToScreenTransform.linear.determinant()));
-        const zoomLevelInt = Math.ceil(Math.log10(zoomLevel / this.attrs.size));
-        const cellSize = Math.pow(0.1, zoomLevelInt);
+        const cellSize = cellSizeForZoom(zoomLevel, this.attrs.size);
         const visibleArea = this.world.getVisibleWorldBounds(0);
         const gridRect = visibleArea.scale(1 / cellSize).expandedToIntegerBounds();
         const gridGroup = document.createElementNS(this.world.svgNS, "g");
@@ -213,6 +552,9 @@ class InfiniteGrid extends Shape {
 
 class Axes extends Shape {
     static specific_attributes = {
+        ticks: {type: "checkbox", default: true, label: "ticks"},
+        labels: {type: "checkbox", default: true, label: "labels"},
+        spacing: {type: "range", default: 80, min: 40, max: 200, label: "spacing"},
         name: {default: "axes"},
         color: {default: "#65c9b8"},
         stroke: {default: 3}
@@ -221,31 +563,89 @@ class Axes extends Shape {
         const screen_polygon = this.world.getVisibleWorldPolygon(30);
         const axesGroup = document.createElementNS(this.world.svgNS, "g");
         const origin = this.world.screenToWorld(this.world.getViewportRect(30.1).clip(this.world.worldToScreen(Vec2.ZERO)));
+        const zoomLevel = Math.sqrt(Math.abs(this.world.worldToScreenTransform.linear.determinant()));
+        const step = tickStep(zoomLevel, this.attrs.spacing);
 
-        const x_axis = this.Axis(origin, Vec2.EX, screen_polygon);
-        const y_axis = this.Axis(origin, Vec2.EY, screen_polygon);
+        const x_axis = this.Axis(origin, Vec2.EX, screen_polygon, step);
+        const y_axis = this.Axis(origin, Vec2.EY, screen_polygon, step);
 
         axesGroup.appendChild(x_axis);
         axesGroup.appendChild(y_axis);
         return axesGroup;
     }
 
-    Axis(origin, direction, area) {
+    Axis(origin, direction, area, step) {
         const axis_line = new Line(origin, direction);
         const intersections = area.intersectLine(axis_line);
-        return this.createArrow(
+        const axisGroup = document.createElementNS(this.world.svgNS, "g");
+        axisGroup.appendChild(this.createArrow(
             this.world.worldToScreen(intersections[0]),
             this.world.worldToScreen(intersections[1])
-        );
+        ));
+        if (this.attrs.ticks || this.attrs.labels) {
+            axisGroup.appendChild(this.createTicks(origin, direction, intersections, step));
+        }
+        return axisGroup;
     }
 
-    createArrow(start, end) {
-        const arrow_vector = end.subtract(start).normalized();
-        const left_point = end.add(arrow_vector.complexMultiply(new Vec2(-20, 10)));
-        const right_point = end.add(arrow_vector.complexMultiply(new Vec2(-20, -10)));
+    /** Tick marks and labels at multiples of step along one axis */
+    createTicks(origin, direction, [start, end], step) {
+        const ticksGroup = document.createElementNS(this.world.svgNS, "g");
+        const screen_origin = this.world.worldToScreen(origin);
+        const screen_end = this.world.worldToScreen(end);
+        const screen_direction = this.world.worldToScreen(origin.add(direction)).subtract(screen_origin).normalized();
+
+        // Labels go below the x axis and left of the y axis unless that leaves the viewport
+        let normal = new Vec2(-screen_direction.y, screen_direction.x);
+        if (direction.y !== 0) normal = normal.negative();
+        const viewport = this.world.getViewportRect(0);
+        const probe = screen_origin.add(normal.scale(40));
+        if (viewport.clip(probe).distanceTo(probe) > 0) normal = normal.negative();
 
+        let tickData = "";
+        const [low, high] = [start.dot(direction), end.dot(direction)].sort((a, b) => a - b);
+        for (let k = Math.ceil(low / step); k <= Math.floor(high / step); k++) {
+            const value = k * step;
+            const screen_point = this.world.worldToScreen(
+                origin.add(direction.scale(value - origin.dot(direction)))
+            );
+            // Leave the axes crossing and the arrow head clear
+            if (screen_point.distanceTo(screen_origin) < 1 || screen_point.distanceTo(screen_end) < 30) continue;
+
+            if (this.attrs.ticks) {
+                const tick_start = screen_point.subtract(normal.scale(5));
+                const tick_end = screen_point.add(normal.scale(5));
+                tickData += `M${tick_start.x},${tick_start.y} L${tick_end.x},${tick_end.y} `;
+            }
+            if (this.attrs.labels) {
+                ticksGroup.appendChild(this.createLabel(formatTickLabel(value, step), screen_point, normal));
+            }
+        }
+        if (tickData) ticksGroup.appendChild(this.createPathElement(tickData, Math.max(1, this.attrs.stroke / 2)));
+        return ticksGroup;
+    }
+
+    /** Upright label beside a tick, far enough along normal to clear the axis */
+    createLabel(text, screen_point, normal) {
+        const fontSize = 12;
+        const halfWidth = 0.3 * fontSize * text.length;
+        const distance = 8 + halfWidth * Math.abs(normal.x) + fontSize / 2 * Math.abs(normal.y);
+        const position = screen_point.add(normal.scale(distance));
+
+        const label = document.createElementNS(this.world.svgNS, "text");
+        label.setAttribute("x", position.x);
+        label.setAttribute("y", position.y);
+        label.setAttribute("fill", this.attrs.color);
+        label.setAttribute("font-size", fontSize);
+        label.setAttribute("text-anchor", "middle");
+        label.setAttribute("dominant-baseline", "central");
+        label.textContent = text;
+        return label;
+    }
+
+    createArrow(start, end) {
         const arrowElement = document.createElementNS(this.world.svgNS, "path");
-        arrowElement.setAttribute("d", `M${start.x},${start.y} L${end.x},${end.y} M${left_point.x},${left_point.y} L${end.x},${end.y} L${right_point.x},${right_point.y}`);
+        arrowElement.setAttribute("d", this.arrowPathData(start, end));
         arrowElement.setAttribute("stroke", this.attrs.color);
         arrowElement.setAttribute("stroke-width", this.attrs.stroke);
         arrowElement.setAttribute("fill", "none");
@@ -255,96 +655,1386 @@ class Axes extends Shape {
 
 class FunctionGraph extends Shape {
     static specific_attributes = {
-        function: {type: "text", default: "sin(x)", label: "y"},
+        function: {type: "text", default: "sin(x)", label: "y", expression: true, variables: ["x"]},
+        roots: {type: "checkbox", default: false, label: "roots"},
+        extrema: {type: "checkbox", default: false, label: "extrema"},
+        inflections: {type: "checkbox", default: false, label: "inflections"},
+        intersections: {type: "checkbox", default: false, label: "intersections"},
+        derivative: {type: "checkbox", default: false, label: "f'"},
+        antiderivative: {type: "checkbox", default: false, label: "∫f"},
+        constant: {type: "text", default: "0", label: "F(0)", expression: true},
+        integral: {type: "checkbox", default: false, label: "integral"},
+        lower: {type: "number", default: 0, label: "from"},
+        upper: {type: "number", default: 1, label: "to"},
         name: {default: "function"},
         color: {default: "#91678b"}
     };
 
+    static marker_labels = {
+        root: "root",
+        max: "max",
+        min: "min",
+        inflection: "inflection",
+        intersection: "intersection"
+    };
+
     draw() {
-        let parsedFunction;
-        try {
-            parsedFunction = math.parse(this.attrs.function);
-        } catch {
-            parsedFunction = math.parse("x");
-        }
+        const scope = this.world.getScope();
+        const f = this.evaluator(scope);
 
         const visibleArea = this.world.getVisibleWorldBounds(0);
         const graphGroup = document.createElementNS(this.world.svgNS, "g");
-        const pathElement = document.createElementNS(this.world.svgNS, "path");
 
-        pathElement.setAttribute("stroke", this.attrs.color);
-        pathElement.setAttribute("stroke-width", this.attrs.stroke);
-        pathElement.setAttribute("fill", "none");
+        // Sampled in screen space so refinement tolerances are in pixels
+        const paths = Numerical.sampleCurve(
+            x_value => this.world.worldToScreen(new Vec2(x_value, f(x_value))),
+            visibleArea.minX,
+            visibleArea.maxX
+        );
+
+        const grips = [];  // Bound handles and markers in world space, hit-tested by grab()
+        if (this.attrs.integral) graphGroup.appendChild(this.createIntegral(f, grips));
+        graphGroup.appendChild(this.createPaths(paths));
+        if (this.attrs.derivative) {
+            const df = derivative(f);
+            const derivativePaths = Numerical.sampleCurve(
+                x_value => this.world.worldToScreen(new Vec2(x_value, df(x_value))),
+                visibleArea.minX,
+                visibleArea.maxX
+            );
+            const derivativeElement = this.createPaths(derivativePaths);
+            derivativeElement.setAttribute("stroke-dasharray", "8 4");
+            graphGroup.appendChild(derivativeElement);
+        }
+        if (this.attrs.antiderivative) {
+            const constant = toReal(this.compileExpression("constant", scope)());
+            // Gaps between the graph's pieces, where f jumps or has a pole
+            const breaks = paths.slice(1).map((path, i) => [
+                this.world.screenToWorld(paths[i].vertices.at(-1)).x,
+                this.world.screenToWorld(path.vertices[0]).x
+            ]);
+            const antiderivativeElement = this.createPaths(this.antiderivativePaths(f, constant, visibleArea.minX, visibleArea.maxX, breaks));
+            antiderivativeElement.setAttribute("stroke-dasharray", "2 4");
+            graphGroup.appendChild(antiderivativeElement);
+        }
+        for (const marker of this.specialPoints(f, scope, visibleArea.minX, visibleArea.maxX)) {
+            graphGroup.appendChild(this.createMarker(marker));
+            grips.push({ marker });
+        }
+        this.grips = grips;
+        return graphGroup;
+    }
+
+    /** An integral bound handle drags along the x axis, and pressing a marker toggles its coordinates */
+    grab(screen_point) {
+        for (const grip of [...(this.grips ?? [])].reverse()) {
+            if (grip.marker) {
+                if (this.world.worldToScreen(grip.marker.point).distanceTo(screen_point) > Shape.grab_distance) continue;
+                return {
+                    move: () => {},
+                    end: () => {
+                        this.selected_marker = this.isSelected(grip.marker) ? null : grip.marker;
+                        this.update();
+                    }
+                };
+            }
+            const base = this.world.worldToScreen(grip.base);
+            const line = this.world.worldToScreen(grip.top).subtract(base);
+            const along = clip(line.dot(screen_point.subtract(base)) / (line.dot(line) || 1), 0, 1);
+            const onLine = base.add(line.scale(along)).distanceTo(screen_point) <= Shape.grab_distance / 2;
+            if (!onLine && base.distanceTo(screen_point) > Shape.grab_distance) continue;
+            return this.createDrag(world_point => ({ [grip.key]: world_point.x }));
+        }
+        return null;
+    }
 
-        let pathData = "M";
-        const sampleCount = 300;
-        const step = visibleArea.width / sampleCount;
+    activeExpressions() {
+        return this.attrs.antiderivative ? ["function", "constant"] : ["function"];
+    }
 
-        for (let x_value = visibleArea.minX; x_value <= visibleArea.maxX; x_value += step) {
+    /** The graphed function as a plain number to number function */
+    evaluator(scope) {
+        const compiledFunction = this.compileExpression("function", scope);
+        return x_value => toReal(compiledFunction({ x: x_value }));
+    }
+
+    /**
+     * The graphed function for use outside this graph's own drawing, such as tracing or
+     * another graph's intersections. NaN where it cannot be evaluated, and it leaves this
+     * graph's error reports alone.
+     */
+    quietEvaluator(scope) {
+        let compiled;
+        try {
+            compiled = math.compile(String(this.attrs.function));
+        } catch {
+            return () => NaN;
+        }
+        return x_value => {
             try {
-                const screenPoint = this.world.worldToScreen(new Vec2(x_value, parsedFunction.evaluate({ x: x_value })));
-                pathData += `${screenPoint.x},${screenPoint.y} `;
-            } catch {}
+                return toReal(compiled.evaluate({ ...scope, x: x_value }));
+            } catch {
+                return NaN;
+            }
+        };
+    }
+
+    /**
+     * Roots, extrema, inflection points and intersections with the graphs whose pair this one marks,
+     * as enabled by the marker checkboxes
+     * @returns {{kind: string, point: Vec2}[]}
+     */
+    specialPoints(f, scope, minX, maxX) {
+        const markers = [];
+        const add = (kind, x, y = f(x)) => {
+            if (Number.isFinite(y)) markers.push({ kind, point: new Vec2(x, y) });
+        };
+        const df = derivative(f);
+        const criticalPoints = this.attrs.roots || this.attrs.extrema ? findRoots(df, minX, maxX) : [];
+
+        if (this.attrs.roots) {
+            const roots = findRoots(f, minX, maxX);
+            // Roots where the graph only touches zero have no sign change to bracket
+            for (const x of criticalPoints) {
+                if (Math.abs(f(x)) < 1e-9 && !roots.some(root => Math.abs(root - x) < 1e-6)) roots.push(x);
+            }
+            roots.forEach(x => add("root", x, 0));
         }
+        if (this.attrs.extrema) {
+            const delta = (maxX - minX) / 4000;
+            for (const x of criticalPoints) {
+                const y = f(x);
+                if (y >= f(x - delta) && y >= f(x + delta)) add("max", x, y);
+                else if (y <= f(x - delta) && y <= f(x + delta)) add("min", x, y);
+            }
+        }
+        if (this.attrs.inflections) {
+            const d2f = derivative(derivative(f, 1e-4), 1e-4);
+            findRoots(d2f, minX, maxX).forEach(x => add("inflection", x));
+        }
+        if (this.attrs.intersections) {
+            for (const other of this.otherGraphs()) {
+                if (other.attrs.hidden || !this.marksIntersectionsWith(other)) continue;
+                const g = other.quietEvaluator(scope);
+                findRoots(x => f(x) - g(x), minX, maxX).forEach(x => add("intersection", x));
+            }
+        }
+        return markers;
+    }
 
-        pathElement.setAttribute("d", pathData);
-        graphGroup.appendChild(pathElement);
-        return graphGroup;
+    /** Dot for a special point that shows its coordinates when clicked */
+    createMarker({ kind, point }) {
+        const screen_point = this.world.worldToScreen(point);
+        const markerGroup = document.createElementNS(this.world.svgNS, "g");
+        markerGroup.classList.add("marker");
+
+        const dot = document.createElementNS(this.world.svgNS, "circle");
+        dot.setAttribute("cx", screen_point.x);
+        dot.setAttribute("cy", screen_point.y);
+        dot.setAttribute("r", 3 + Number(this.attrs.stroke));
+        dot.setAttribute("fill", kind === "intersection" ? "none" : this.attrs.color);
+        dot.setAttribute("stroke", this.attrs.color);
+        dot.setAttribute("stroke-width", 2);
+        markerGroup.appendChild(dot);
+
+        if (this.isSelected({ kind, point })) {
+            const format = value => String(Number(value.toPrecision(10)));
+            const label = document.createElementNS(this.world.svgNS, "text");
+            label.setAttribute("x", screen_point.x + 10);
+            label.setAttribute("y", screen_point.y - 10);
+            label.setAttribute("fill", this.attrs.color);
+            label.setAttribute("font-size", 12);
+            label.textContent = `${FunctionGraph.marker_labels[kind]} (${format(point.x)}, ${format(point.y)})`;
+            markerGroup.appendChild(label);
+        }
+        return markerGroup;
+    }
+
+    /** Whether a marker is the one showing its coordinates, allowing for it moving slightly between redraws */
+    isSelected({ kind, point }) {
+        const selected = this.selected_marker;
+        return selected?.kind === kind && Math.abs(selected.point.x - point.x) < 1e-6 * (1 + Math.abs(point.x));
+    }
+
+    /**
+     * Screen paths of F(x) = F(0) + ∫₀ˣ f, accumulated outwards from 0 over a fine grid of the
+     * visible range. The path breaks where the graph of f does. F is undefined beyond a point
+     * where f is not integrable, so the path ends there.
+     * @param {number[][]} breaks - [from, to] x intervals of the gaps in the graph of f
+     * @returns {Path[]}
+     */
+    antiderivativePaths(f, constant, minX, maxX, breaks = [], cells = 400) {
+        const step = (maxX - minX) / cells;
+        const nodeX = i => minX + i * step;
+        const cellBroken = i => breaks.some(([from, to]) => from < nodeX(i + 1) && to > nodeX(i));
+        // Integral over cell i; cells on a gap get the full depth that tells a pole from a jump
+        const cellIntegral = i => cellBroken(i) ?
+            integrate(f, nodeX(i), nodeX(i + 1)) :
+            integrate(f, nodeX(i), nodeX(i + 1), 1e-9, 8);
+
+        // The node closest to 0 is reached from 0 directly, coarsely enough that far away views stay fast
+        const start = clip(Math.round(-minX / step), 0, cells);
+        const values = new Array(cells + 1);
+        values[start] = constant + integrate(f, 0, nodeX(start), 1e-6);
+        for (let i = start + 1; i <= cells; i++) values[i] = values[i - 1] + cellIntegral(i - 1);
+        for (let i = start - 1; i >= 0; i--) values[i] = values[i + 1] - cellIntegral(i);
+
+        const paths = [];
+        let vertices = [];
+        for (let i = 0; i <= cells; i++) {
+            if (i > 0 && cellBroken(i - 1) || !Number.isFinite(values[i])) {
+                if (vertices.length > 1) paths.push(new Path(vertices));
+                vertices = [];
+            }
+            if (Number.isFinite(values[i])) vertices.push(this.world.worldToScreen(new Vec2(nodeX(i), values[i])));
+        }
+        if (vertices.length > 1) paths.push(new Path(vertices));
+        return paths;
+    }
+
+    /** Shaded area between the graph and the x axis over [lower, upper], with its value and bound handles */
+    createIntegral(f, grips) {
+        const lower = Number(this.attrs.lower);
+        const upper = Number(this.attrs.upper);
+        const integralGroup = document.createElementNS(this.world.svgNS, "g");
+        const onAxis = screen_point => this.world.worldToScreen(new Vec2(this.world.screenToWorld(screen_point).x, 0));
+
+        const areas = Numerical.sampleCurve(
+            x_value => this.world.worldToScreen(new Vec2(x_value, f(x_value))),
+            Math.min(lower, upper),
+            Math.max(lower, upper)
+        ).map(path => new Polygon([
+            onAxis(path.vertices[0]),
+            ...path.vertices,
+            onAxis(path.vertices[path.vertices.length - 1])
+        ]));
+        const areaElement = this.createPaths(areas, 0, "none", this.attrs.color);
+        areaElement.setAttribute("fill-opacity", 0.3);
+        integralGroup.appendChild(areaElement);
+
+        integralGroup.appendChild(this.createBoundHandle("lower", lower, f, grips));
+        integralGroup.appendChild(this.createBoundHandle("upper", upper, f, grips));
+
+        const value = integrate(f, lower, upper);
+        const label_point = this.world.worldToScreen(new Vec2((lower + upper) / 2, 0));
+        const label = document.createElementNS(this.world.svgNS, "text");
+        label.setAttribute("x", label_point.x);
+        label.setAttribute("y", label_point.y + 20);
+        label.setAttribute("fill", this.attrs.color);
+        label.setAttribute("font-size", 12);
+        label.setAttribute("text-anchor", "middle");
+        label.textContent = `∫ = ${Number.isFinite(value) ? Number(value.toPrecision(8)) : "undefined"}`;
+        integralGroup.appendChild(label);
+        return integralGroup;
+    }
+
+    /** Line from the axis to the graph at an integral bound, dragged along the x axis through grab() */
+    createBoundHandle(key, x, f, grips) {
+        const grip = { key, base: new Vec2(x, 0), top: new Vec2(x, Number.isFinite(f(x)) ? f(x) : 0) };
+        grips.push(grip);
+        const base = this.world.worldToScreen(grip.base);
+        const top = this.world.worldToScreen(grip.top);
+        const handle = document.createElementNS(this.world.svgNS, "g");
+        handle.classList.add("handle");
+        handle.appendChild(this.createPathElement(`M${base.x},${base.y} L${top.x},${top.y}`));
+
+        const gripElement = document.createElementNS(this.world.svgNS, "circle");
+        gripElement.setAttribute("cx", base.x);
+        gripElement.setAttribute("cy", base.y);
+        gripElement.setAttribute("r", 6);
+        gripElement.setAttribute("fill", this.attrs.color);
+        handle.appendChild(gripElement);
+        return handle;
+    }
+
+    /** The other graphs in the world */
+    otherGraphs() {
+        return this.world.shapes.filter(shape => shape instanceof FunctionGraph && shape !== this);
+    }
+
+    /**
+     * Whether this graph draws the intersections of its pair with another, so each pair is
+     * computed once: the earlier of the two visible graphs that show intersections
+     */
+    marksIntersectionsWith(other) {
+        if (!this.attrs.intersections || this.attrs.hidden) return false;
+        if (!other.attrs.intersections || other.attrs.hidden) return true;
+        return this.world.shapes.indexOf(this) < this.world.shapes.indexOf(other);
+    }
+
+    /** Graphs that may mark intersections with this one, and need redrawing when it changes */
+    intersectionPartners() {
+        return this.otherGraphs().filter(graph => graph.attrs.intersections);
+    }
+
+    /** Redraw this graph, and the graphs marking their intersections with it, whatever caused the change */
+    update() {
+        super.update();
+        this.intersectionPartners().forEach(graph => this.world.redraw(graph));
+    }
+
+    delete() {
+        const partners = this.intersectionPartners();
+        super.delete();
+        partners.forEach(graph => this.world.redraw(graph));
     }
 }
 
 class Transformation extends Shape {
     static specific_attributes = {
-        x_func: { type: "text", default: "x*x-y*y", label: "x"},
-        y_func: { type: "text", default: "2*x*y" ,  label: "y"},
+        x_func: { type: "text", default: "x*x-y*y", label: "x", expression: true, variables: ["x", "y"]},
+        y_func: { type: "text", default: "2*x*y" ,  label: "y", expression: true, variables: ["x", "y"]},
         size: { type: "range",  default: 300,       label: "size", min: 50, max: 500 },
+        domain: { type: "select", options: ["viewport", "rectangle", "disk"], default: "viewport", label: "domain" },
+        x_min: { type: "text", default: "-2", label: "x min", expression: true },
+        x_max: { type: "text", default: "2", label: "x max", expression: true },
+        y_min: { type: "text", default: "-2", label: "y min", expression: true },
+        y_max: { type: "text", default: "2", label: "y max", expression: true },
+        center: { type: "text", default: "0, 0", label: "center", expression: true, list: true },
+        radius: { type: "text", default: "1", label: "radius", expression: true },
+        morph: { type: "range", default: 1, min: 0, max: 1, step: 0.01, label: "morph" },
+        play: { type: "button", label: "play", on_click: shape_instance => shape_instance.togglePlayback() },
+        interpolation: { type: "select", options: ["linear", "polar"], default: "linear", label: "path" },
+        speed: { type: "range", default: 0.5, min: 0.05, max: 2, step: 0.05, label: "speed" },
         color: {default: "#ff0088"},
         name: {default: "transform"}
     };
 
-    draw() {
-        const parsedXExpression = math.parse(this.attrs.x_func);
-        const parsedYExpression = math.parse(this.attrs.y_func);
-        const forwardTransform = (p) => new Vec2(
-            parsedXExpression.evaluate({ x: p.x, y: p.y }),
-            parsedYExpression.evaluate({ x: p.x, y: p.y })
+    constructor(world, provided_attrs = {}) {
+        super(world, provided_attrs);
+        this.direction = 1;
+        this.animation = new Animation(elapsed => this.advance(elapsed));
+    }
+
+    delete() {
+        this.animation.pause();
+        this.inputs.play.classList.remove("active");
+        super.delete();
+    }
+
+    togglePlayback() {
+        this.animation.toggle();
+        this.inputs.play.classList.toggle("active", this.animation.isPlaying);
+    }
+
+    /** Move the morph on by one animation frame, back and forth between the identity and the full map */
+    advance(elapsed) {
+        const { value, direction } = Animation.advance(
+            Number(this.attrs.morph),
+            this.direction,
+            elapsed * Number(this.attrs.speed),
+            0,
+            1,
+            "bounce"
         );
-        const inverseTransform = Numerical.inverse2D(forwardTransform);
+        this.direction = direction;
+        this.setAttribute("morph", value);
+    }
 
-        const zoomLevel = math.sqrt(math.abs(
-            Numerical.jacobian(forwardTransform)(inverseTransform(this.world.getWorldCenter())).determinant() *
-            this.world.worldToScreenTransform.linear.determinant()
-        ));
-        const zoomLevelInt = Math.ceil(Math.log10(zoomLevel / this.attrs.size));
-        const gridCellSize = Math.pow(0.1, zoomLevelInt);
-        const visibleWorldPolygon = this.world.getVisibleWorldPolygon(0).subdivide(50).map(inverseTransform);
-        const integerRect = visibleWorldPolygon.boundingRectangle().scale(1 / gridCellSize).expandedToIntegerBounds();
+    activeExpressions() {
+        const bounds = {
+            viewport: [],
+            rectangle: ["x_min", "x_max", "y_min", "y_max"],
+            disk: ["center", "radius"]
+        }[this.attrs.domain];
+        return ["x_func", "y_func", ...bounds];
+    }
 
-        const gridGroup = document.createElementNS(this.world.svgNS, "g");
-        for (let i = 0; i <= integerRect.width; i++) {
-            const x = (i + integerRect.minX) * gridCellSize;
-            const lineRank = determineGridLineRank(i+integerRect.minX);
-            const strokeWidth = (this.attrs.stroke / 4 + lineRank).toString();
-            const gridLine = new Line(Vec2.EX.scale(x), Vec2.EY);
-            const intersections = visibleWorldPolygon.intersectLine(gridLine);
-            if (!intersections.length) continue;
-            const linePath = new LineSegment(intersections[0], intersections.at(-1)).toPath().subdivide(50);
-            const mappedPath = linePath.map(forwardTransform).map(this.world.worldToScreen);
-            gridGroup.appendChild(this.createPath(mappedPath, strokeWidth));
+    /**
+     * Source domain evaluated in the current scope, as plain data for the worker
+     * @returns {Object|null} null for the viewport, undefined if the bounds are not usable
+     */
+    sourceDomain(scope) {
+        if (this.attrs.domain === "rectangle") {
+            const [minX, maxX, minY, maxY] = ["x_min", "x_max", "y_min", "y_max"]
+                .map(key => toReal(this.compileExpression(key, scope)()));
+            if (!(minX < maxX && minY < maxY)) return undefined;
+            return { shape: "rectangle", minX, maxX, minY, maxY };
+        }
+        if (this.attrs.domain === "disk") {
+            const center = this.guard("center", () => parsePoints(this.attrs.center, scope)[0], null)();
+            const radius = toReal(this.compileExpression("radius", scope)());
+            if (!center || !Number.isFinite(center.x) || !Number.isFinite(center.y) || !(radius > 0)) return undefined;
+            return { shape: "disk", center: [center.x, center.y], radius };
         }
+        return null;
+    }
 
-        for (let i = 0; i <= integerRect.height; i++) {
-            const y = (i + integerRect.minY) * gridCellSize;
-            const lineRank = determineGridLineRank(i+integerRect.minY);
-            const strokeWidth = (this.attrs.stroke / 4 + lineRank).toString();
-            const gridLine = new Line(Vec2.EY.scale(y), Vec2.EX);
-            const intersections = visibleWorldPolygon.intersectLine(gridLine);
-            if (!intersections.length) continue;
-            const linePath = new LineSegment(intersections[0], intersections.at(-1)).toPath().subdivide(50);
-            const mappedPath = linePath.map(forwardTransform).map(this.world.worldToScreen);
-            gridGroup.appendChild(this.createPath(mappedPath, strokeWidth));
+    /**
+     * Grid lines come from the worker when there is one, meanwhile the last drawing stays,
+     * unless the world draws synchronously.
+     * The viewport domain pulls the visible grid back through the inverse, the other domains
+     * push their own grid forward.
+     */
+    draw() {
+        const worldToScreen = this.world.worldToScreenTransform;
+        const viewport = this.world.getViewportRect(0);
+        const scope = this.world.getScope();
+        const domain = this.sourceDomain(scope);
+        if (domain === undefined) return this.createGrid([]);
+
+        if (this.world.synchronous || !TransformationGrid.getWorker()) {
+            // A pending worker answer would be older than this grid
+            TransformationGrid.latest.delete(this.id);
+            const mapX = this.compileExpression("x_func", scope);
+            const mapY = this.compileExpression("y_func", scope);
+            const forwardTransform = TransformationGrid.morph(
+                (p) => new Vec2(
+                    toReal(mapX({ x: p.x, y: p.y })),
+                    toReal(mapY({ x: p.x, y: p.y }))
+                ),
+                Number(this.attrs.morph),
+                this.attrs.interpolation
+            );
+            return this.createGrid(domain ?
+                TransformationGrid.computeDomain(forwardTransform, worldToScreen, domain, this.attrs.size, this.attrs.stroke) :
+                TransformationGrid.compute(forwardTransform, worldToScreen, viewport, this.attrs.size, this.attrs.stroke));
+        }
+
+        const { linear, translation } = worldToScreen;
+        TransformationGrid.request(this.id, {
+            x_func: String(this.attrs.x_func),
+            y_func: String(this.attrs.y_func),
+            scope: this.world.getScopeDescription(),
+            transform: [linear.a, linear.b, linear.c, linear.d, translation.x, translation.y],
+            viewport: [viewport.width, viewport.height],
+            domain,
+            morph: Number(this.attrs.morph),
+            interpolation: this.attrs.interpolation,
+            size: Number(this.attrs.size),
+            stroke: Number(this.attrs.stroke)
+        }, result => this.receiveGrid(result, worldToScreen));
+        return null;
+    }
+
+    /** Show grid lines from the worker if they are still for the current view */
+    receiveGrid(result, worldToScreen) {
+        if (result.unavailable) {
+            this.update();
+            return;
+        }
+        if (worldToScreen !== this.world.renderedTransform || this.attrs.hidden || !this.world.shapes.includes(this)) return;
+
+        const errors = result.error ? { x_func: result.error } : result.errors;
+        this.showErrors(errors);
+        // Points that fail only leave gaps, a map that fails everywhere keeps the last grid
+        if (!result.lines?.length) return;
+        this.replaceElement(this.createGrid(result.lines));
+    }
+
+    createGrid(lines) {
+        const gridGroup = document.createElementNS(this.world.svgNS, "g");
+        for (const { data, strokeWidth } of lines) {
+            gridGroup.appendChild(this.createPathElement(data, strokeWidth));
         }
+        return gridGroup;
+    }
+}
+
+class LinearMap extends Shape {
+    static specific_attributes = {
+        a: { type: "text", default: "2", label: "a", expression: true },
+        b: { type: "text", default: "1", label: "b", expression: true },
+        c: { type: "text", default: "1", label: "c", expression: true },
+        d: { type: "text", default: "2", label: "d", expression: true },
+        shift: { type: "text", default: "0, 0", label: "shift", expression: true, list: true },
+        size: { type: "range", default: 100, min: 50, max: 500, label: "size" },
+        determinant: { type: "checkbox", default: true, label: "det" },
+        eigenvectors: { type: "checkbox", default: true, label: "eigen" },
+        color: { default: "#b388ff" },
+        name: { default: "linear map" }
+    };
+
+    static basis_colors = ["#7ee081", "#ff6b6b"];
+
+    /** The affine map p ↦ [[a, b], [c, d]]·p + shift, or null if an entry is not a number */
+    evaluateMap(scope) {
+        const [a, b, c, d] = ["a", "b", "c", "d"].map(key => toReal(this.compileExpression(key, scope)()));
+        const shift = this.guard("shift", () => parsePoints(this.attrs.shift, scope)[0], null)();
+        if (![a, b, c, d].every(Number.isFinite) || !shift || !Number.isFinite(shift.x) || !Number.isFinite(shift.y)) return null;
+        return new AffineTransform(new Matrix2(a, b, c, d), shift);
+    }
+
+    draw() {
+        const mapGroup = document.createElementNS(this.world.svgNS, "g");
+        const map = this.evaluateMap(this.world.getScope());
+        if (!map) return mapGroup;
+
+        mapGroup.appendChild(this.createMappedGrid(map));
+        if (this.attrs.determinant) mapGroup.appendChild(this.createUnitSquare(map));
+        if (this.attrs.eigenvectors) mapGroup.appendChild(this.createEigenvectors(map));
+        mapGroup.appendChild(this.createBasis(map));
+        return mapGroup;
+    }
 
+    /** Images of the grid lines that are visible after the map, straight since the map is affine */
+    createMappedGrid(map) {
+        const gridGroup = document.createElementNS(this.world.svgNS, "g");
+        const toScreen = this.world.worldToScreenTransform.compose(map);
+        // A singular map squashes the grid onto a line or point
+        if (Math.abs(toScreen.linear.determinant()) < 1e-6) return gridGroup;
+
+        const sourcePolygon = this.world.getViewportPolygon(0).transform(toScreen.inverse());
+        const bounds = sourcePolygon.boundingRectangle();
+        let cellSize = cellSizeForZoom(Math.sqrt(Math.abs(toScreen.linear.determinant())), this.attrs.size);
+        while (Math.max(bounds.width, bounds.height) / cellSize > 200) cellSize *= 10;
+        const gridRect = bounds.scale(1 / cellSize).expandedToIntegerBounds();
+
+        const addLine = (gridLine, index) => {
+            const ends = sourcePolygon.intersectLine(gridLine);
+            if (ends.length < 2) return;
+            const start = toScreen.apply(ends[0]);
+            const end = toScreen.apply(ends.at(-1));
+            const strokeWidth = (this.attrs.stroke / 4 + determineGridLineRank(index)).toString();
+            gridGroup.appendChild(this.createPathElement(`M${start.x},${start.y} L${end.x},${end.y}`, strokeWidth));
+        };
+        for (let i = gridRect.minX; i <= gridRect.maxX; i++) {
+            addLine(new Line(Vec2.EX.scale(i * cellSize), Vec2.EY), i);
+        }
+        for (let i = gridRect.minY; i <= gridRect.maxY; i++) {
+            addLine(new Line(Vec2.EY.scale(i * cellSize), Vec2.EX), i);
+        }
         return gridGroup;
     }
+
+    /** Image of the unit square, labelled with the determinant, its signed area */
+    createUnitSquare(map) {
+        const squareGroup = document.createElementNS(this.world.svgNS, "g");
+        const square = new Polygon([Vec2.ZERO, Vec2.EX, Vec2.EX.add(Vec2.EY), Vec2.EY])
+            .transform(this.world.worldToScreenTransform.compose(map));
+        const areaElement = this.createPaths([square], 0, this.attrs.color, this.attrs.color);
+        areaElement.setAttribute("fill-opacity", 0.3);
+        squareGroup.appendChild(areaElement);
+
+        const label_point = this.world.worldToScreen(map.apply(new Vec2(0.5, 0.5)));
+        const label = document.createElementNS(this.world.svgNS, "text");
+        label.setAttribute("x", label_point.x);
+        label.setAttribute("y", label_point.y);
+        label.setAttribute("fill", this.attrs.color);
+        label.setAttribute("font-size", 12);
+        label.setAttribute("text-anchor", "middle");
+        label.textContent = `det = ${Number(map.linear.determinant().toPrecision(6))}`;
+        squareGroup.appendChild(label);
+        return squareGroup;
+    }
+
+    /**
+     * Dashed lines along the real eigenvectors of the matrix, labelled with their eigenvalues.
+     * They go through the fixed point of the map, where they are the lines it maps onto
+     * themselves, and are left out when the shift leaves no point fixed.
+     */
+    createEigenvectors(map) {
+        const eigenGroup = document.createElementNS(this.world.svgNS, "g");
+        const fixedPoint = map.fixedPoint();
+        if (!fixedPoint) return eigenGroup;
+        const visiblePolygon = this.world.getVisibleWorldPolygon(30);
+        for (const { value, vector } of map.linear.eigenvectors()) {
+            const ends = visiblePolygon.intersectLine(new Line(fixedPoint, vector));
+            if (ends.length < 2) continue;
+            const start = this.world.worldToScreen(ends[0]);
+            const end = this.world.worldToScreen(ends.at(-1));
+            const lineElement = this.createPathElement(`M${start.x},${start.y} L${end.x},${end.y}`);
+            lineElement.setAttribute("stroke-dasharray", "6 4");
+            eigenGroup.appendChild(lineElement);
+
+            // Label at the end the eigenvector points to
+            const label_point = this.world.worldToScreen(ends.reduce((best, p) => p.dot(vector) > best.dot(vector) ? p : best));
+            const label = document.createElementNS(this.world.svgNS, "text");
+            label.setAttribute("x", label_point.x);
+            label.setAttribute("y", label_point.y);
+            label.setAttribute("fill", this.attrs.color);
+            label.setAttribute("font-size", 12);
+            label.setAttribute("text-anchor", "middle");
+            label.textContent = `λ = ${Number(value.toPrecision(6))}`;
+            eigenGroup.appendChild(label);
+        }
+        return eigenGroup;
+    }
+
+    /** Arrows from the image of the origin to the images of EX and EY */
+    createBasis(map) {
+        const basisGroup = document.createElementNS(this.world.svgNS, "g");
+        const origin = this.world.worldToScreen(map.apply(Vec2.ZERO));
+        [Vec2.EX, Vec2.EY].forEach((basis, i) => {
+            const tip = this.world.worldToScreen(map.apply(basis));
+            if (tip.distanceTo(origin) < 1) return;
+            const color = LinearMap.basis_colors[i];
+            basisGroup.appendChild(this.createPathElement(
+                this.arrowPathData(origin, tip, Math.min(12, 0.3 * tip.distanceTo(origin))),
+                Number(this.attrs.stroke) + 1,
+                color
+            ));
+
+            const label = document.createElementNS(this.world.svgNS, "text");
+            label.setAttribute("x", tip.x + 6);
+            label.setAttribute("y", tip.y - 6);
+            label.setAttribute("fill", color);
+            label.setAttribute("font-size", 12);
+            label.textContent = `Ae${i === 0 ? "₁" : "₂"}`;
+            basisGroup.appendChild(label);
+        });
+        return basisGroup;
+    }
+}
+
+class ParametricCurve extends Shape {
+    static specific_attributes = {
+        x_func: { type: "text", default: "sin(3*t)", label: "x", expression: true, variables: ["t"] },
+        y_func: { type: "text", default: "sin(4*t)", label: "y", expression: true, variables: ["t"] },
+        t_min: { type: "text", default: "0", label: "t min", expression: true },
+        t_max: { type: "text", default: "2*pi", label: "t max", expression: true },
+        samples: { type: "range", default: 200, min: 10, max: 1000, step: 10, label: "samples" },
+        name: { default: "curve" },
+        color: { default: "#e0a03c" }
+    };
+
+    draw() {
+        const scope = this.world.getScope();
+        const curveGroup = document.createElementNS(this.world.svgNS, "g");
+
+        const compiledX = this.compileExpression("x_func", scope);
+        const compiledY = this.compileExpression("y_func", scope);
+        const tMin = toReal(this.compileExpression("t_min", scope)());
+        const tMax = toReal(this.compileExpression("t_max", scope)());
+        if (!Number.isFinite(tMin) || !Number.isFinite(tMax)) return curveGroup;
+
+        const paths = Numerical.sampleCurve(
+            t => this.world.worldToScreen(new Vec2(
+                toReal(compiledX({ t })),
+                toReal(compiledY({ t }))
+            )),
+            tMin,
+            tMax,
+            { samples: Number(this.attrs.samples) }
+        );
+
+        curveGroup.appendChild(this.createPaths(paths));
+        return curveGroup;
+    }
+}
+
+class PolarCurve extends Shape {
+    static specific_attributes = {
+        r_func: { type: "text", default: "cos(3*theta)", label: "r", expression: true, variables: ["theta"] },
+        theta_min: { type: "text", default: "0", label: "θ min", expression: true },
+        theta_max: { type: "text", default: "2*pi", label: "θ max", expression: true },
+        samples: { type: "range", default: 200, min: 10, max: 1000, step: 10, label: "samples" },
+        name: { default: "polar" },
+        color: { default: "#4fb0e8" }
+    };
+
+    draw() {
+        const scope = this.world.getScope();
+        const curveGroup = document.createElementNS(this.world.svgNS, "g");
+
+        const compiledR = this.compileExpression("r_func", scope);
+        const thetaMin = toReal(this.compileExpression("theta_min", scope)());
+        const thetaMax = toReal(this.compileExpression("theta_max", scope)());
+        if (!Number.isFinite(thetaMin) || !Number.isFinite(thetaMax)) return curveGroup;
+
+        // Negative r lands on the opposite side of the origin
+        const paths = Numerical.sampleCurve(
+            theta => {
+                const r = toReal(compiledR({ theta }));
+                return this.world.worldToScreen(
+                    new Vec2(r * Math.cos(theta), r * Math.sin(theta))
+                );
+            },
+            thetaMin,
+            thetaMax,
+            { samples: Number(this.attrs.samples) }
+        );
+
+        curveGroup.appendChild(this.createPaths(paths));
+        return curveGroup;
+    }
+}
+
+class ImplicitCurve extends Shape {
+    static specific_attributes = {
+        lhs: { type: "text", default: "y^2", label: "lhs", expression: true, variables: ["x", "y"] },
+        rhs: { type: "text", default: "x^3 - x + 1", label: "rhs", expression: true, variables: ["x", "y"] },
+        detail: { type: "range", default: 3, min: 0, max: 5, step: 1, label: "detail" },
+        name: { default: "implicit" },
+        color: { default: "#d65f5f" }
+    };
+
+    draw() {
+        const scope = this.world.getScope();
+        const curveGroup = document.createElementNS(this.world.svgNS, "g");
+
+        const compiledLhs = this.compileExpression("lhs", scope);
+        const compiledRhs = this.compileExpression("rhs", scope);
+
+        // Coarse cells of about 16 pixels, refined towards the curve
+        const viewport = this.world.getViewportRect(0);
+        const contour = new MarchingSquares(
+            p => toReal(compiledLhs({ x: p.x, y: p.y })) - toReal(compiledRhs({ x: p.x, y: p.y })),
+            this.world.getVisibleWorldBounds(0),
+            Math.ceil(Math.max(viewport.width, viewport.height) / 16),
+            Number(this.attrs.detail)
+        ).contour();
+
+        curveGroup.appendChild(
+            this.createPaths(contour.map(path => path.map(this.world.worldToScreen)))
+        );
+        return curveGroup;
+    }
+}
+
+class Region extends Shape {
+    static specific_attributes = {
+        mode: { type: "select", options: ["inequality", "between"], default: "inequality", label: "mode" },
+        inequality: { type: "text", default: "x^2 + y^2 <= 4", label: "region", expression: true, variables: ["x", "y"] },
+        lower: { type: "text", default: "0", label: "lower", expression: true, variables: ["x"] },
+        upper: { type: "text", default: "sin(x)", label: "upper", expression: true, variables: ["x"] },
+        x_min: { type: "text", default: "-pi", label: "x min", expression: true },
+        x_max: { type: "text", default: "pi", label: "x max", expression: true },
+        opacity: { type: "range", default: 0.3, min: 0, max: 1, step: 0.05, label: "opacity" },
+        hatching: { type: "select", options: ["none", "lines", "cross", "dots"], default: "none", label: "hatching" },
+        name: { default: "region" },
+        color: { default: "#3cb371" }
+    };
+
+    static hatch_patterns = {
+        lines: "M0,8 L8,0 M-2,2 L2,-2 M6,10 L10,6",
+        cross: "M0,8 L8,0 M-2,2 L2,-2 M6,10 L10,6 M0,0 L8,8 M-2,6 L2,10 M6,-2 L10,2",
+        dots: "M3,4 a1,1 0 1,0 2,0 a1,1 0 1,0 -2,0"
+    };
+
+    /**
+     * Compile an inequality into a field that is positive inside the region
+     * @param {string} expression - Comparison such as "y < sin(x)"
+     * @returns {{field: Function, strict: boolean}} Field of a math.js scope
+     */
+    static compileInequality(expression) {
+        const node = math.parse(expression);
+        const comparisons = {
+            smaller: [1, true], smallerEq: [1, false],
+            larger: [-1, true], largerEq: [-1, false]
+        };
+        if (node.isOperatorNode && comparisons[node.fn]) {
+            const [sign, strict] = comparisons[node.fn];
+            const left = node.args[0].compile();
+            const right = node.args[1].compile();
+            return {
+                field: scope => sign * (toReal(right.evaluate(scope)) - toReal(left.evaluate(scope))),
+                strict
+            };
+        }
+
+        // Any other condition (chained comparisons, "and", ...) is only inside or outside
+        const condition = node.compile();
+        return { field: scope => condition.evaluate(scope) ? 1 : -1, strict: false };
+    }
+
+    draw() {
+        const regionGroup = document.createElementNS(this.world.svgNS, "g");
+
+        let polygons, boundary = [], strict = false;
+        if (this.attrs.mode === "between") {
+            polygons = this.betweenPolygons();
+        } else {
+            ({ polygons, boundary, strict } = this.inequalityPolygons());
+        }
+
+        const visiblePolygon = this.world.getVisibleWorldPolygon(0);
+        const screenPolygons = polygons
+            .map(polygon => polygon.clip(visiblePolygon))
+            .filter(polygon => polygon.vertices.length > 2)
+            .map(polygon => polygon.map(this.world.worldToScreen));
+
+        const fillElement = this.createPaths(screenPolygons, 0, "none", this.attrs.color);
+        fillElement.setAttribute("fill-opacity", this.attrs.opacity);
+        regionGroup.appendChild(fillElement);
+
+        const hatch = Region.hatch_patterns[this.attrs.hatching];
+        if (hatch) {
+            const patternId = `${this.svg_id}_hatch`;
+            const defs = document.createElementNS(this.world.svgNS, "defs");
+            const pattern = document.createElementNS(this.world.svgNS, "pattern");
+            pattern.id = patternId;
+            pattern.setAttribute("patternUnits", "userSpaceOnUse");
+            pattern.setAttribute("width", 8);
+            pattern.setAttribute("height", 8);
+            pattern.appendChild(this.createPathElement(hatch, 1, this.attrs.color, this.attrs.color));
+            defs.appendChild(pattern);
+            regionGroup.appendChild(defs);
+            regionGroup.appendChild(this.createPaths(screenPolygons, 0, "none", `url(#${patternId})`));
+        }
+
+        if (boundary.length) {
+            const boundaryElement = this.createPaths(boundary.map(path => path.map(this.world.worldToScreen)));
+            if (strict) boundaryElement.setAttribute("stroke-dasharray", "6 4");
+            regionGroup.appendChild(boundaryElement);
+        }
+        return regionGroup;
+    }
+
+    activeExpressions() {
+        return this.attrs.mode === "between" ? ["lower", "upper", "x_min", "x_max"] : ["inequality"];
+    }
+
+    /** Region of an inequality in x and y, with its boundary curve */
+    inequalityPolygons() {
+        const scope = this.world.getScope();
+        const { field, strict } = Region.compileInequality(this.attrs.inequality);
+        const viewport = this.world.getViewportRect(0);
+        const squares = new MarchingSquares(
+            this.guard("inequality", p => field({ ...scope, x: p.x, y: p.y })),
+            this.world.getVisibleWorldBounds(0),
+            Math.ceil(Math.max(viewport.width, viewport.height) / 16)
+        );
+        return { polygons: squares.region(), boundary: squares.contour(), strict };
+    }
+
+    /** Area between the lower and upper expressions over the x interval */
+    betweenPolygons() {
+        const scope = this.world.getScope();
+        const lower = this.compileExpression("lower", scope);
+        const upper = this.compileExpression("upper", scope);
+        const visibleArea = this.world.getVisibleWorldBounds(0);
+        const xMin = Math.max(toReal(this.compileExpression("x_min", scope)()), visibleArea.minX);
+        const xMax = Math.min(toReal(this.compileExpression("x_max", scope)()), visibleArea.maxX);
+        const polygons = [];
+        if (!(xMin < xMax)) return polygons;
+
+        // Split into separate polygons wherever either bound is undefined
+        let upperPoints = [];
+        let lowerPoints = [];
+        const close = () => {
+            if (upperPoints.length > 1) {
+                polygons.push(new Polygon([...upperPoints, ...lowerPoints.reverse()]));
+            }
+            upperPoints = [];
+            lowerPoints = [];
+        };
+
+        const samples = 400;
+        for (let i = 0; i <= samples; i++) {
+            const x = xMin + i * (xMax - xMin) / samples;
+            const yLower = toReal(lower({ x }));
+            const yUpper = toReal(upper({ x }));
+            if (!Number.isFinite(yLower) || !Number.isFinite(yUpper)) {
+                close();
+                continue;
+            }
+            upperPoints.push(new Vec2(x, yUpper));
+            lowerPoints.push(new Vec2(x, yLower));
+        }
+        close();
+        return polygons;
+    }
+}
+
+class VectorField extends Shape {
+    static specific_attributes = {
+        mode: { type: "select", options: ["vector", "slope"], default: "vector", label: "mode" },
+        p_func: { type: "text", default: "-y", label: "P", expression: true, variables: ["x", "y"] },
+        q_func: { type: "text", default: "x", label: "Q", expression: true, variables: ["x", "y"] },
+        slope_func: { type: "text", default: "x - y", label: "dy/dx", expression: true, variables: ["x", "y"] },
+        size: { type: "range", default: 200, min: 50, max: 500, label: "spacing" },
+        scaling: { type: "select", options: ["normalized", "magnitude"], default: "normalized", label: "length" },
+        heat: { type: "checkbox", default: false, label: "heat" },
+        name: { default: "field" },
+        color: { default: "#c8c8c8" }
+    };
+
+    /** Field as a function of a world point */
+    compileField() {
+        const scope = this.world.getScope();
+        if (this.attrs.mode === "slope") {
+            const compiledSlope = this.compileExpression("slope_func", scope);
+            return p => new Vec2(1, toReal(compiledSlope({ x: p.x, y: p.y })));
+        }
+        const compiledP = this.compileExpression("p_func", scope);
+        const compiledQ = this.compileExpression("q_func", scope);
+        return p => new Vec2(
+            toReal(compiledP({ x: p.x, y: p.y })),
+            toReal(compiledQ({ x: p.x, y: p.y }))
+        );
+    }
+
+    activeExpressions() {
+        return this.attrs.mode === "slope" ? ["slope_func"] : ["p_func", "q_func"];
+    }
+
+    draw() {
+        const fieldGroup = document.createElementNS(this.world.svgNS, "g");
+        const field = this.compileField();
+
+        const zoomLevel = Math.sqrt(Math.abs(this.world.worldToScreenTransform.linear.determinant()));
+        const bounds = this.world.getVisibleWorldBounds(0);
+        let cellSize = cellSizeForZoom(zoomLevel, this.attrs.size);
+        // Rotated or very large views would need too many samples
+        while ((bounds.width / cellSize + 1) * (bounds.height / cellSize + 1) > 5000) cellSize *= 10;
+        const gridRect = bounds.scale(1 / cellSize).expandedToIntegerBounds();
+
+        const samples = [];
+        for (let i = gridRect.minX; i <= gridRect.maxX; i++) {
+            for (let j = gridRect.minY; j <= gridRect.maxY; j++) {
+                const point = new Vec2(i * cellSize, j * cellSize);
+                const vector = field(point);
+                const magnitude = vector.magnitude();
+                if (!Number.isFinite(magnitude)) continue;
+                samples.push({ point, vector, magnitude });
+            }
+        }
+        const maxMagnitude = samples.reduce((max, sample) => Math.max(max, sample.magnitude), 0);
+
+        const isSlope = this.attrs.mode === "slope";
+        const byMagnitude = !isSlope && this.attrs.scaling === "magnitude";
+        let pathData = "";
+        for (const { point, vector, magnitude } of samples) {
+            if (magnitude < Number.EPSILON) continue;
+
+            // Centered on the grid point, at most 80% of a cell long
+            const length = 0.8 * cellSize * (byMagnitude ? magnitude / maxMagnitude : 1);
+            const halfVector = vector.scale(length / (2 * magnitude));
+            const start = this.world.worldToScreen(point.subtract(halfVector));
+            const end = this.world.worldToScreen(point.add(halfVector));
+            if (start.distanceTo(end) < 1) continue;
+
+            const data = isSlope ?
+                `M${start.x},${start.y} L${end.x},${end.y}` :
+                this.arrowPathData(start, end, Math.min(8, 0.3 * start.distanceTo(end)));
+
+            if (!this.attrs.heat) {
+                pathData += data;
+                continue;
+            }
+            const hue = 240 * (1 - magnitude / maxMagnitude);
+            fieldGroup.appendChild(
+                this.createPathElement(data, this.attrs.stroke, `hsl(${hue}, 80%, 60%)`)
+            );
+        }
+
+        if (pathData) fieldGroup.appendChild(this.createPathElement(pathData));
+        return fieldGroup;
+    }
+}
+
+class Trajectory extends Shape {
+    static specific_attributes = {
+        p_func: { type: "text", default: "y", label: "x'", expression: true, variables: ["x", "y"] },
+        q_func: { type: "text", default: "-sin(x)", label: "y'", expression: true, variables: ["x", "y"] },
+        points: { type: "text", default: "[1, 0], [2, 0], [3, 0.5]", label: "start", expression: true, list: true },
+        span: { type: "text", default: "20", label: "time", expression: true },
+        tolerance: { type: "text", default: "1e-6", label: "tolerance", expression: true },
+        direction: { type: "select", options: ["both", "forward", "backward"], default: "both", label: "direction" },
+        name: { default: "trajectory" },
+        color: { default: "#f0d060" }
+    };
+
+    draw() {
+        const scope = this.world.getScope();
+        const trajectoryGroup = document.createElementNS(this.world.svgNS, "g");
+
+        const compiledP = this.compileExpression("p_func", scope);
+        const compiledQ = this.compileExpression("q_func", scope);
+        const starts = this.guard("points", () => parsePoints(this.attrs.points, scope), [])();
+        const span = toReal(this.compileExpression("span", scope)());
+        const tolerance = toReal(this.compileExpression("tolerance", scope)());
+        if (!(span > 0) || !(tolerance > 0)) return trajectoryGroup;
+
+        const field = p => new Vec2(
+            toReal(compiledP({ x: p.x, y: p.y })),
+            toReal(compiledQ({ x: p.x, y: p.y }))
+        );
+
+        // Stop a little outside the visible area
+        const visibleArea = this.world.getVisibleWorldBounds(0);
+        const area = visibleArea.expand(0.1 * Math.max(visibleArea.width, visibleArea.height));
+        const options = {
+            tolerance,
+            maxStep: span / 500,
+            stop: p => p.x < area.minX || p.x > area.maxX || p.y < area.minY || p.y > area.maxY
+        };
+        const integrate = (start, sign) => {
+            try {
+                return Numerical.rk45(field, start, { ...options, span: sign * span });
+            } catch {
+                return [start];
+            }
+        };
+
+        const paths = [];
+        let markerData = "";
+        for (const start of starts) {
+            if (!Number.isFinite(start.x) || !Number.isFinite(start.y)) continue;
+            const forward = this.attrs.direction !== "backward" ? integrate(start, 1) : [start];
+            const backward = this.attrs.direction !== "forward" ? integrate(start, -1) : [start];
+            paths.push(new Path([...backward.reverse(), ...forward.slice(1)]).map(this.world.worldToScreen));
+
+            const marker = this.world.worldToScreen(start);
+            markerData += `M${marker.x - 3},${marker.y} a3,3 0 1,0 6,0 a3,3 0 1,0 -6,0 `;
+        }
+
+        trajectoryGroup.appendChild(this.createPaths(paths));
+        trajectoryGroup.appendChild(this.createPathElement(markerData, this.attrs.stroke, this.attrs.color, this.attrs.color));
+        return trajectoryGroup;
+    }
+}
+
+class DomainColoring extends Shape {
+    static specific_attributes = {
+        function: { type: "text", default: "(z^2 - 1) / (z^2 + 1)", label: "w", expression: true, variables: ["z"] },
+        resolution: { type: "range", default: 3, min: 1, max: 8, step: 1, label: "pixel" },
+        contours: { type: "checkbox", default: true, label: "contours" },
+        name: { default: "domain" }
+    };
+
+    /**
+     * Colour of a complex value: hue from the argument, brightness steps
+     * at every doubling of the modulus
+     * @param {Vec2} w - Complex value
+     * @param {boolean} contours - Draw modulus contours
+     * @returns {number[]} Red, green and blue channels (0-255)
+     */
+    static complexColor(w, contours) {
+        const modulus = w.magnitude();
+        if (modulus === Infinity) return [255, 255, 255];
+        if (!Number.isFinite(modulus)) return [0, 0, 0];
+
+        const hue = (w.angle() / (2 * Math.PI) + 1) % 1;
+        const logModulus = Math.log2(modulus);
+        const value = contours ? 0.6 + 0.4 * (logModulus - Math.floor(logModulus)) : 1;
+        return hsvToRgb(hue, 1, Number.isFinite(value) ? value : 0);
+    }
+
+    draw() {
+        const scope = this.world.getScope();
+        const domainGroup = document.createElementNS(this.world.svgNS, "g");
+
+        const compiledFunction = this.compileExpression("function", scope);
+        const valueAt = this.guard("function", z => {
+            const value = math.complex(compiledFunction({ z: math.complex(z.x, z.y) }));
+            return new Vec2(value.re, value.im);
+        }, new Vec2(NaN, NaN));
+
+        // One sample per block of pixels, stretched back to the viewport
+        const viewport = this.world.getViewportRect(0);
+        const pixelSize = Number(this.attrs.resolution);
+        const width = Math.ceil(viewport.width / pixelSize);
+        const height = Math.ceil(viewport.height / pixelSize);
+        const screenToWorld = this.world.worldToScreenTransform.inverse();
+
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext("2d");
+        const image = context.createImageData(width, height);
+
+        for (let row = 0; row < height; row++) {
+            for (let column = 0; column < width; column++) {
+                const z = screenToWorld.apply(new Vec2((column + 0.5) * pixelSize, (row + 0.5) * pixelSize));
+                const w = valueAt(z);
+                const offset = 4 * (row * width + column);
+                image.data.set(DomainColoring.complexColor(w, this.attrs.contours), offset);
+                image.data[offset + 3] = 255;
+            }
+        }
+        context.putImageData(image, 0, 0);
+
+        const imageElement = document.createElementNS(this.world.svgNS, "image");
+        imageElement.setAttribute("href", canvas.toDataURL());
+        imageElement.setAttribute("x", viewport.minX);
+        imageElement.setAttribute("y", viewport.minY);
+        imageElement.setAttribute("width", width * pixelSize);
+        imageElement.setAttribute("height", height * pixelSize);
+        imageElement.setAttribute("preserveAspectRatio", "none");
+        domainGroup.appendChild(imageElement);
+        return domainGroup;
+    }
+}
+
+class Parameter extends Shape {
+    static specific_attributes = {
+        variable: { type: "text", default: "a", label: "variable" },
+        value: { type: "range", default: 1, min: -5, max: 5, step: 0.1, label: "value" },
+        min: { type: "number", default: -5, label: "min" },
+        max: { type: "number", default: 5, label: "max" },
+        step: { type: "number", default: 0.1, label: "step" },
+        play: { type: "button", label: "play", on_click: shape_instance => shape_instance.togglePlayback() },
+        mode: { type: "select", options: ["bounce", "loop"], default: "bounce", label: "mode" },
+        speed: { type: "range", default: 0.2, min: 0.05, max: 2, step: 0.05, label: "speed" },
+        name: { default: "parameter" },
+        color: { default: "#e0e0e0" }
+    };
+
+    constructor(world, provided_attrs = {}) {
+        super(world, provided_attrs);
+        this.direction = 1;
+        this.animation = new Animation(elapsed => this.advance(elapsed));
+        this.updateSlider();
+    }
+
+    defineScope(scope) {
+        if (this.providedNames().length) {
+            scope[this.attrs.variable] = Number(this.attrs.value);
+        }
+    }
+
+    describeScope(description) {
+        if (this.providedNames().length) {
+            description.values[this.attrs.variable] = Number(this.attrs.value);
+        }
+    }
+
+    providedNames() {
+        return /^[A-Za-z_]\w*$/.test(this.attrs.variable) ? [this.attrs.variable] : [];
+    }
+
+    changed(key) {
+        if (key === "min" || key === "max" || key === "step") this.updateSlider();
+        super.changed(key);
+    }
+
+    delete() {
+        this.animation.pause();
+        this.inputs.play.classList.remove("active");
+        super.delete();
+    }
+
+    /** Match the value slider to the min, max and step attributes */
+    updateSlider() {
+        const slider = this.inputs.value;
+        slider.min = this.attrs.min;
+        slider.max = this.attrs.max;
+        slider.step = this.attrs.step;
+        slider.value = this.attrs.value;
+    }
+
+    togglePlayback() {
+        this.animation.toggle();
+        this.inputs.play.classList.toggle("active", this.animation.isPlaying);
+    }
+
+    /** Move the value on by one animation frame */
+    advance(elapsed) {
+        const min = Number(this.attrs.min);
+        const max = Number(this.attrs.max);
+        const { value, direction } = Animation.advance(
+            Number(this.attrs.value),
+            this.direction,
+            elapsed * Number(this.attrs.speed) * (max - min),
+            min,
+            max,
+            this.attrs.mode
+        );
+        this.direction = direction;
+        this.setAttribute("value", value);
+    }
 }
+
+class FunctionDefinition extends Shape {
+    static specific_attributes = {
+        definition: { type: "text", default: "f(x) = x^2 - 1", label: "define", expression: true },
+        name: { default: "definition" },
+        color: { default: "#e0e0e0" }
+    };
+
+    /** The parsed assignment such as "g(x, y) = x*y", or null if the text is not one. Compiled once per text. */
+    parse() {
+        const source = String(this.attrs.definition);
+        if (this.parsed?.source !== source) {
+            let node = null;
+            try {
+                node = math.parse(source);
+            } catch {
+                // Reported inline by validateExpression
+            }
+            const definition = node?.isFunctionAssignmentNode ? node : null;
+            this.parsed = { source, node: definition, compiled: definition?.compile(), syntaxError: node === null };
+        }
+        return this.parsed.node;
+    }
+
+    defineScope(scope) {
+        if (this.parse()) this.parsed.compiled.evaluate(scope);
+    }
+
+    describeScope(description) {
+        if (this.parse()) description.definitions.push(this.parsed.source);
+    }
+
+    providedNames() {
+        const node = this.parse();
+        return node ? [node.name] : [];
+    }
+
+    expressionVariables(key) {
+        return this.parse()?.params ?? [];
+    }
+
+    /** Checked like any expression, but it must also be a definition */
+    validateExpression(key, scope) {
+        if (this.parse() || this.parsed.syntaxError) return super.validateExpression(key, scope);
+        return 'Expected a definition such as "f(x) = x^2"';
+    }
+
+    /** Names used by the body, without the function's own parameters */
+    dependencies() {
+        const node = this.parse();
+        const names = new Set();
+        if (!node) return names;
+        node.expr.traverse(child => {
+            if (child.isSymbolNode && !node.params.includes(child.name)) names.add(child.name);
+        });
+        return names;
+    }
+}
+
+class Point extends Shape {
+    static specific_attributes = {
+        variable: { type: "text", default: "P", label: "variable" },
+        x: { type: "number", default: 1, label: "x" },
+        y: { type: "number", default: 1, label: "y" },
+        name: { default: "point" },
+        color: { default: "#ffd166" }
+    };
+
+    /** The coordinates given in scope as a column P, and as P_x and P_y */
+    coordinates() {
+        return new Vec2(Number(this.attrs.x), Number(this.attrs.y));
+    }
+
+    defineScope(scope) {
+        if (!this.providedNames().length) return;
+        const { x, y } = this.coordinates();
+        const variable = this.attrs.variable;
+        scope[variable] = math.matrix([x, y]);
+        scope[`${variable}_x`] = x;
+        scope[`${variable}_y`] = y;
+    }
+
+    describeScope(description) {
+        if (!this.providedNames().length) return;
+        const { x, y } = this.coordinates();
+        const variable = this.attrs.variable;
+        description.values[`${variable}_x`] = x;
+        description.values[`${variable}_y`] = y;
+        description.definitions.push(`${variable} = [${variable}_x, ${variable}_y]`);
+    }
+
+    providedNames() {
+        const variable = this.attrs.variable;
+        return /^[A-Za-z_]\w*$/.test(variable) ? [variable, `${variable}_x`, `${variable}_y`] : [];
+    }
+
+    draw() {
+        const pointGroup = document.createElementNS(this.world.svgNS, "g");
+        pointGroup.classList.add("draggable");
+        const screen_point = this.world.worldToScreen(this.coordinates());
+        if (!Number.isFinite(screen_point.x) || !Number.isFinite(screen_point.y)) return pointGroup;
+        pointGroup.appendChild(this.createDot(screen_point, 4 + Number(this.attrs.stroke)));
+        pointGroup.appendChild(this.createLabel(screen_point));
+        return pointGroup;
+    }
+
+    grab(screen_point) {
+        const position = this.coordinates();
+        if (this.world.worldToScreen(position).distanceTo(screen_point) > Shape.grab_distance) return null;
+        const offset = position.subtract(this.world.screenToWorld(screen_point));
+        return this.createDrag(world_point => {
+            const { x, y } = world_point.add(offset);
+            return { x, y };
+        });
+    }
+
+    createDot(screen_point, radius) {
+        const dot = document.createElementNS(this.world.svgNS, "circle");
+        dot.setAttribute("cx", screen_point.x);
+        dot.setAttribute("cy", screen_point.y);
+        dot.setAttribute("r", radius);
+        dot.setAttribute("fill", this.attrs.color);
+        return dot;
+    }
+
+    createLabel(screen_point) {
+        const label = document.createElementNS(this.world.svgNS, "text");
+        label.setAttribute("x", screen_point.x + 8);
+        label.setAttribute("y", screen_point.y - 8);
+        label.setAttribute("fill", this.attrs.color);
+        label.setAttribute("font-size", 12);
+        label.textContent = this.attrs.variable;
+        return label;
+    }
+}
+
+class Vector extends Point {
+    static specific_attributes = {
+        ...Point.specific_attributes,
+        variable: { ...Point.specific_attributes.variable, default: "v" },
+        tail_x: { type: "number", default: 0, label: "tail x" },
+        tail_y: { type: "number", default: 0, label: "tail y" },
+        name: { default: "vector" },
+        color: { default: "#f78c6b" }
+    };
+
+    tail() {
+        return new Vec2(Number(this.attrs.tail_x), Number(this.attrs.tail_y));
+    }
+
+    /** Arrow from the tail to the tail plus the components, which are what the scope gets */
+    draw() {
+        const vectorGroup = document.createElementNS(this.world.svgNS, "g");
+        vectorGroup.classList.add("draggable");
+        const start = this.world.worldToScreen(this.tail());
+        const end = this.world.worldToScreen(this.tail().add(this.coordinates()));
+        if (![start.x, start.y, end.x, end.y].every(Number.isFinite)) return vectorGroup;
+
+        vectorGroup.appendChild(this.createDot(start, 2 + Number(this.attrs.stroke)));
+        if (start.distanceTo(end) >= 1) {
+            vectorGroup.appendChild(this.createPathElement(
+                this.arrowPathData(start, end, Math.min(12, 0.3 * start.distanceTo(end))),
+                Number(this.attrs.stroke) + 1
+            ));
+        }
+        vectorGroup.appendChild(this.createLabel(end));
+        return vectorGroup;
+    }
+
+    /** The tip changes the components, the tail moves the whole vector */
+    grab(screen_point) {
+        const tail = this.tail();
+        const tip = tail.add(this.coordinates());
+        const pointer = this.world.screenToWorld(screen_point);
+        if (this.world.worldToScreen(tip).distanceTo(screen_point) <= Shape.grab_distance) {
+            const offset = tip.subtract(pointer);
+            return this.createDrag(world_point => {
+                const { x, y } = world_point.add(offset).subtract(tail);
+                return { x, y };
+            });
+        }
+        if (this.world.worldToScreen(tail).distanceTo(screen_point) <= Shape.grab_distance) {
+            const offset = tail.subtract(pointer);
+            return this.createDrag(world_point => {
+                const { x, y } = world_point.add(offset);
+                return { tail_x: x, tail_y: y };
+            });
+        }
+        return null;
+    }
+}
+
+// ================== Registry ================== //
+/** Shape classes by name, used to restore saved scenes */
+const ShapeTypes = {
+    InfiniteGrid,
+    Axes,
+    FunctionGraph,
+    Transformation,
+    LinearMap,
+    ParametricCurve,
+    PolarCurve,
+    ImplicitCurve,
+    Region,
+    VectorField,
+    Trajectory,
+    DomainColoring,
+    Parameter,
+    FunctionDefinition,
+    Point,
+    Vector
+};
@@ -0,0 +1,137 @@
+// ================== Hover Trace ================== //
+class Trace {
+    /**
+     * Crosshair under the pointer that snaps onto nearby function graphs
+     * @param {World} world - World to trace in
+     */
+    constructor(world) {
+        this.world = world;
+        this.snapDistance = 20;     // Pixels
+        this.pointer = null;        // Screen position, null while outside the view
+        this.graph = null;          // Graph the trace point is snapped to
+        this.x = null;              // World x of the trace point on that graph
+        this.element = null;
+    }
+
+    /** Follow the pointer, snapping to the closest visible graph within reach */
+    hover(screen_point) {
+        this.pointer = screen_point;
+        this.graph = null;
+        this.x = null;
+
+        const scope = this.world.getScope();
+        const center = this.world.screenToWorld(screen_point);
+        const reach = this.snapDistance / this.zoomLevel();
+        let closest = this.snapDistance;
+        for (const shape of this.world.shapes) {
+            if (!(shape instanceof FunctionGraph) || shape.attrs.hidden) continue;
+            const f = shape.quietEvaluator(scope);
+            for (let i = -20; i <= 20; i++) {
+                const x = center.x + reach * i / 20;
+                const y = f(x);
+                if (!Number.isFinite(y)) continue;
+                const distance = this.world.worldToScreen(new Vec2(x, y)).distanceTo(screen_point);
+                if (distance < closest) {
+                    closest = distance;
+                    this.graph = shape;
+                    this.x = x;
+                }
+            }
+        }
+        this.draw();
+    }
+
+    leave() {
+        this.pointer = null;
+        this.graph = null;
+        this.x = null;
+        this.draw();
+    }
+
+    /**
+     * Walk the trace point along its graph
+     * @param {number} pixels - Signed distance along the x axis in screen pixels
+     * @returns {boolean} Whether there was a trace point to move
+     */
+    step(pixels) {
+        if (!this.graph || !this.world.shapes.includes(this.graph)) return false;
+        const x = this.x + pixels / this.zoomLevel();
+        if (Number.isFinite(this.graph.quietEvaluator(this.world.getScope())(x))) this.x = x;
+        this.draw();
+        return true;
+    }
+
+    zoomLevel() {
+        return Math.sqrt(Math.abs(this.world.worldToScreenTransform.linear.determinant()));
+    }
+
+    /** Redraw the crosshair and readout above all shapes */
+    draw() {
+        this.element?.remove();
+        this.element = null;
+        if (!this.pointer) return;
+
+        const overlay = document.createElementNS(this.world.svgNS, "g");
+        overlay.classList.add("overlay");
+        let position = this.pointer;
+        let lines = [];
+        let color = "#aaaaaa";
+
+        const snapped = this.graph !== null && this.world.shapes.includes(this.graph);
+        if (snapped) {
+            const f = this.graph.quietEvaluator(this.world.getScope());
+            const y = f(this.x);
+            position = this.world.worldToScreen(new Vec2(this.x, y));
+            color = this.graph.attrs.color;
+            lines = [
+                `x = ${Trace.format(this.x)}`,
+                `f(x) = ${Trace.format(y)}`,
+                `f'(x) = ${Trace.format(derivative(f)(this.x))}`
+            ];
+        } else {
+            const point = this.world.screenToWorld(this.pointer);
+            lines = [`(${Trace.format(point.x)}, ${Trace.format(point.y)})`];
+        }
+
+        const viewport = this.world.getViewportRect(0);
+        const crosshair = document.createElementNS(this.world.svgNS, "path");
+        crosshair.setAttribute("d", `M0,${position.y} L${viewport.width},${position.y} M${position.x},0 L${position.x},${viewport.height}`);
+        crosshair.setAttribute("stroke", "#aaaaaa");
+        crosshair.setAttribute("stroke-width", 1);
+        crosshair.setAttribute("stroke-dasharray", "4 4");
+        overlay.appendChild(crosshair);
+
+        if (snapped) {
+            const dot = document.createElementNS(this.world.svgNS, "circle");
+            dot.setAttribute("cx", position.x);
+            dot.setAttribute("cy", position.y);
+            dot.setAttribute("r", 5);
+            dot.setAttribute("fill", color);
+            overlay.appendChild(dot);
+        }
+
+        // Readout stays beside the point but inside the view
+        const fontSize = 12;
+        const left = position.x + 12 + 100 > viewport.width ? position.x - 112 : position.x + 12;
+        const top = position.y - 12 - fontSize * lines.length < 0 ? position.y + 12 + fontSize : position.y - 12 - fontSize * (lines.length - 1);
+        const readout = document.createElementNS(this.world.svgNS, "text");
+        readout.setAttribute("fill", color);
+        readout.setAttribute("font-size", fontSize);
+        lines.forEach((line, i) => {
+            const span = document.createElementNS(this.world.svgNS, "tspan");
+            span.setAttribute("x", left);
+            span.setAttribute("y", top + i * fontSize * 1.2);
+            span.textContent = line;
+            readout.appendChild(span);
+        });
+        overlay.appendChild(readout);
+
+        this.world.svg.appendChild(overlay);
+        this.element = overlay;
+    }
+
+    /** Short readout of a coordinate */
+    static format(value) {
+        return Number.isFinite(value) ? String(Number(value.toPrecision(6))) : "undefined";
+    }
+}
@@ -0,0 +1,250 @@
+// ================== Transformation Grid ================== //
+/**
+ * Grid lines of a Transformation, computed on the page or in
+ * transformation-worker.js, which loads this file too
+ */
+const TransformationGrid = {
+    worker: undefined,      // Created on first use, null where workers cannot start
+    latest: new Map(),      // Newest request per shape: {id, callback}
+    nextId: 0,
+
+    /**
+     * Images of the grid lines that are visible after the transformation
+     * @param {Function} forwardTransform - Maps a world point (Vec2) to its image
+     * @param {AffineTransform} worldToScreen - View transform
+     * @param {Rectangle} viewport - Screen area
+     * @param {number} size - Largest grid cell in pixels
+     * @param {number} stroke - Base stroke width
+     * @returns {{data: string, strokeWidth: string}[]} Screen space path data per line
+     */
+    compute(forwardTransform, worldToScreen, viewport, size, stroke) {
+        const inverseTransform = Numerical.inverse2D(forwardTransform);
+        const screenToWorld = worldToScreen.inverse();
+
+        const zoomLevel = Math.sqrt(Math.abs(
+            Numerical.jacobian(forwardTransform)(inverseTransform(screenToWorld.apply(viewport.center))).determinant() *
+            worldToScreen.linear.determinant()
+        ));
+        const gridCellSize = cellSizeForZoom(zoomLevel, size);
+        const visibleWorldPolygon = viewport.toPolygon().transform(screenToWorld).subdivide(50).map(inverseTransform);
+        const integerRect = visibleWorldPolygon.boundingRectangle().scale(1 / gridCellSize).expandedToIntegerBounds();
+
+        const lines = [];
+        const addLine = (gridLine, index) => {
+            const intersections = visibleWorldPolygon.intersectLine(gridLine);
+            if (!intersections.length) return;
+            const linePath = new LineSegment(intersections[0], intersections.at(-1)).toPath().subdivide(50);
+            const mappedPaths = this.mapVertices(linePath.vertices, forwardTransform, worldToScreen);
+            if (!mappedPaths.length) return;
+            lines.push({
+                data: mappedPaths.map(path => this.pathData(path)).join(" "),
+                strokeWidth: (stroke / 4 + determineGridLineRank(index)).toString()
+            });
+        };
+
+        for (let i = integerRect.minX; i <= integerRect.maxX; i++) {
+            addLine(new Line(Vec2.EX.scale(i * gridCellSize), Vec2.EY), i);
+        }
+        for (let i = integerRect.minY; i <= integerRect.maxY; i++) {
+            addLine(new Line(Vec2.EY.scale(i * gridCellSize), Vec2.EX), i);
+        }
+        return lines;
+    },
+
+    /**
+     * Screen paths through the images of consecutive source points, broken where an image is
+     * undefined and where a polar morph's angle jumps across its branch cut
+     * @param {Vec2[]} vertices - Source points in world coordinates
+     * @returns {Path[]}
+     */
+    mapVertices(vertices, forwardTransform, worldToScreen) {
+        const paths = [];
+        let current = [];
+        let previousAngle = null;
+        for (const vertex of vertices) {
+            const image = worldToScreen.apply(forwardTransform(vertex));
+            const angle = forwardTransform.branchAngle?.(vertex) ?? null;
+            const jumped = angle !== null && previousAngle !== null && Math.abs(angle - previousAngle) > Math.PI;
+            if (!Number.isFinite(image.x) || !Number.isFinite(image.y) || jumped) {
+                if (current.length > 1) paths.push(new Path(current));
+                current = [];
+            }
+            if (Number.isFinite(image.x) && Number.isFinite(image.y)) current.push(image);
+            previousAngle = angle;
+        }
+        if (current.length > 1) paths.push(new Path(current));
+        return paths;
+    },
+
+    /**
+     * Images of the grid lines of a source rectangle or disk and of its outline.
+     * Needs no inverse, so it also works for maps that are not injective.
+     * @param {Function} forwardTransform - Maps a world point (Vec2) to its image
+     * @param {AffineTransform} worldToScreen - View transform
+     * @param {Object} domain - {shape: "rectangle", minX, minY, maxX, maxY} or {shape: "disk", center: [x, y], radius}
+     * @param {number} size - Largest grid cell in pixels
+     * @param {number} stroke - Base stroke width
+     * @returns {{data: string, strokeWidth: string}[]} Screen space path data per line
+     */
+    computeDomain(forwardTransform, worldToScreen, domain, size, stroke) {
+        const isDisk = domain.shape === "disk";
+        const radius = domain.radius;
+        const bounds = isDisk ?
+            new Rectangle(domain.center[0] - radius, domain.center[1] - radius, domain.center[0] + radius, domain.center[1] + radius) :
+            new Rectangle(domain.minX, domain.minY, domain.maxX, domain.maxY);
+        const center = bounds.center;
+
+        // Cell size from the scale of the image at the center, as for the viewport grid
+        let zoomLevel = Math.sqrt(Math.abs(
+            Numerical.jacobian(forwardTransform)(center).determinant() * worldToScreen.linear.determinant()
+        ));
+        if (!(zoomLevel > 0 && Number.isFinite(zoomLevel))) {
+            zoomLevel = Math.sqrt(Math.abs(worldToScreen.linear.determinant()));
+        }
+        let gridCellSize = cellSizeForZoom(zoomLevel, size);
+        while (Math.max(bounds.width, bounds.height) / gridCellSize > 200) gridCellSize *= 10;
+        const integerRect = bounds.scale(1 / gridCellSize).contractedToIntegerBounds();
+
+        const lines = [];
+        const addCurve = (curve, t0, t1, strokeWidth) => {
+            const paths = Numerical.sampleCurve(
+                t => worldToScreen.apply(forwardTransform(curve(t))),
+                t0,
+                t1,
+                { samples: 16 }
+            );
+            if (paths.length) lines.push({ data: paths.map(path => this.pathData(path)).join(" "), strokeWidth });
+        };
+        const addSegment = (start, end, strokeWidth) => {
+            addCurve(t => start.add(end.subtract(start).scale(t)), 0, 1, strokeWidth);
+        };
+        // Half the chord of the disk at a distance from its center
+        const halfChord = offset => Math.sqrt(Math.max(0, radius * radius - offset * offset));
+
+        for (let i = integerRect.minX; i <= integerRect.maxX; i++) {
+            const x = i * gridCellSize;
+            const half = isDisk ? halfChord(x - center.x) : bounds.height / 2;
+            const strokeWidth = (stroke / 4 + determineGridLineRank(i)).toString();
+            addSegment(new Vec2(x, center.y - half), new Vec2(x, center.y + half), strokeWidth);
+        }
+        for (let i = integerRect.minY; i <= integerRect.maxY; i++) {
+            const y = i * gridCellSize;
+            const half = isDisk ? halfChord(y - center.y) : bounds.width / 2;
+            const strokeWidth = (stroke / 4 + determineGridLineRank(i)).toString();
+            addSegment(new Vec2(center.x - half, y), new Vec2(center.x + half, y), strokeWidth);
+        }
+
+        const outlineWidth = stroke.toString();
+        if (isDisk) {
+            addCurve(angle => center.add(new Vec2(Math.cos(angle), Math.sin(angle)).scale(radius)), 0, 2 * Math.PI, outlineWidth);
+        } else {
+            const corners = bounds.toPolygon().vertices;
+            corners.forEach((corner, i) => addSegment(corner, corners[(i + 1) % 4], outlineWidth));
+        }
+        return lines;
+    },
+
+    /**
+     * Blend between the identity and a transformation
+     * @param {Function} forwardTransform - Maps a world point (Vec2) to its image
+     * @param {number} t - 0 for the identity, 1 for the full transformation
+     * @param {string} interpolation - "linear" for (1-t)·p + t·F(p), "polar" for p·(F(p)/p)^t,
+     *     which turns and scales points along instead of sliding them, so z² passes through z^(1+t)
+     * @returns {Function} Intermediate transformation
+     */
+    morph(forwardTransform, t, interpolation) {
+        if (t >= 1) return forwardTransform;
+        const linear = p => p.scale(1 - t).add(forwardTransform(p).scale(t));
+        if (interpolation !== "polar") return linear;
+        const ratio = p => forwardTransform(p).complexMultiply(new Vec2(p.x, -p.y)).scale(1 / p.dot(p));
+        const polar = p => p.dot(p) > 0 ? p.complexMultiply(ratio(p).power(t)) : linear(p);
+        // Angle of F(p)/p, whose jumps by 2π turn into jumps of the morphed point
+        polar.branchAngle = p => p.dot(p) > 0 ? ratio(p).angle() : null;
+        return polar;
+    },
+
+    /** SVG path data of a path */
+    pathData(path) {
+        return "M" + path.vertices.map(vertex => `${vertex.x},${vertex.y}`).join(" ");
+    },
+
+    /**
+     * Compute a job posted to the worker, where everything arrives as plain data
+     * @param {Object} job - Expressions, scope description, view, source domain and sampling plan
+     * @returns {{lines: Object[], errors: Object}} Grid lines and the first evaluation error per expression
+     */
+    computeJob(job) {
+        const scope = this.scopeFrom(job.scope);
+        const errors = {};
+        const evaluator = key => {
+            const compiled = math.compile(job[key]);
+            return p => {
+                try {
+                    return toReal(compiled.evaluate({ ...scope, x: p.x, y: p.y }));
+                } catch (error) {
+                    errors[key] ??= evaluationErrorMessage(error, { x: p.x, y: p.y });
+                    return NaN;
+                }
+            };
+        };
+        const mapX = evaluator("x_func");
+        const mapY = evaluator("y_func");
+
+        const [a, b, c, d, tx, ty] = job.transform;
+        const forwardTransform = this.morph(p => new Vec2(mapX(p), mapY(p)), job.morph, job.interpolation);
+        const worldToScreen = new AffineTransform(new Matrix2(a, b, c, d), new Vec2(tx, ty));
+        const lines = job.domain ?
+            this.computeDomain(forwardTransform, worldToScreen, job.domain, job.size, job.stroke) :
+            this.compute(forwardTransform, worldToScreen, new Rectangle(0, 0, job.viewport[0], job.viewport[1]), job.size, job.stroke);
+        return { lines, errors };
+    },
+
+    /** Rebuild a scope from parameter values and function definition strings */
+    scopeFrom(description) {
+        const scope = { ...description.values };
+        for (const definition of description.definitions) {
+            math.evaluate(definition, scope);
+        }
+        return scope;
+    },
+
+    /** The shared worker, or null where workers are unavailable, e.g. on pages opened from disk */
+    getWorker() {
+        if (this.worker !== undefined) return this.worker;
+        try {
+            this.worker = new Worker("transformation-worker.js");
+        } catch {
+            this.worker = null;
+            return null;
+        }
+        this.worker.onmessage = event => {
+            const request = this.latest.get(event.data.key);
+            if (request?.id !== event.data.id) return;
+            this.latest.delete(event.data.key);
+            request.callback(event.data);
+        };
+        // Scripts that fail to load only show up here; everything waiting is computed on the page instead
+        this.worker.onerror = event => {
+            event.preventDefault();
+            this.worker.terminate();
+            this.worker = null;
+            const waiting = [...this.latest.values()];
+            this.latest.clear();
+            waiting.forEach(request => request.callback({ unavailable: true }));
+        };
+        return this.worker;
+    },
+
+    /**
+     * Send a job to the worker. Only the newest request of each shape is answered,
+     * older ones are dropped on both sides.
+     * @param {*} key - Identifies the requesting shape
+     * @param {Object} job - See computeJob
+     * @param {Function} callback - Receives {lines, errors}, {error} or {unavailable}
+     */
+    request(key, job, callback) {
+        const id = this.nextId++;
+        this.latest.set(key, { id, callback });
+        this.worker.postMessage({ key, id, job });
+    }
+};
@@ -0,0 +1,33 @@
+// ================== Transformation Worker ================== //
+importScripts(
+    "https://cdnjs.cloudflare.com/ajax/libs/mathjs/14.6.0/math.min.js",
+    "math-utils.js",
+    "geometry.js",
+    "transformation-grid.js"
+);
+
+// Newest job per shape; jobs replaced before they start are never computed
+const pending = new Map();
+let scheduled = false;
+
+onmessage = event => {
+    pending.set(event.data.key, event.data);
+    if (!scheduled) {
+        scheduled = true;
+        setTimeout(runNext);
+    }
+};
+
+/** Compute one job, then yield so newer messages can replace the rest */
+function runNext() {
+    const [key, { id, job }] = pending.entries().next().value;
+    pending.delete(key);
+    try {
+        postMessage({ key, id, ...TransformationGrid.computeJob(job) });
+    } catch (error) {
+        postMessage({ key, id, error: error.message });
+    }
+
+    scheduled = pending.size > 0;
+    if (scheduled) setTimeout(runNext);
+}
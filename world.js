@@ -14,47 +14,164 @@ class World {
         this.zoomFactorMatrix = new Matrix2(1.3, 0, 0, 1.3);
         this.rotationFactorMatrix = Matrix2.rotation(Math.PI/32);
         this.shapes = shapes;
-        this.isDragging = false;
-        this.currentMousePosition = new Vec2(0, 0);
-        this.lastMousePosition = new Vec2(0, 0);
+        this.history = new CommandHistory();
+        this.trace = new Trace(this);
+        this.layer = document.createElementNS(this.svgNS, "g");   // Holds the shapes' elements in order
+        this.svg.appendChild(this.layer);
+        this.dirty = new Set();         // Shapes to recompute in the next frame
+        this.frameId = null;
+        this.settleTimer = null;
+        this.settleDelay = 150;         // Milliseconds of stillness before a pan is re-sampled
+        this.pointers = new Map();      // Screen positions of pressed pointers by id
+        this.drag = null;               // Shape drag in progress: {pointerId, move, end}
+        this.synchronous = false;       // Shapes draw completely on the page, without background work, e.g. for export
+        this.lastTap = null;
+        this.keyPanDistance = 50;       // Pixels per arrow key press
         
         this.worldToScreenTransform = new AffineTransform(
             new Matrix2(50, 0, 0, -50),     // Initial zoom
             this.viewportSize.scale(0.5)     // Center view
         );
+        this.renderedTransform = null;      // View the shapes were last drawn for
 
         // Bind event handlers
-        this.handleMouseDown = this.handleMouseDown.bind(this);
-        this.handleMouseUp = this.handleMouseUp.bind(this);
-        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerLeave = this.handlePointerLeave.bind(this);
         this.handleMouseScroll = this.handleMouseScroll.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
         this.worldToScreen = this.worldToScreen.bind(this);
         this.screenToWorld = this.screenToWorld.bind(this);
     }
 
     // ================== Event Handlers ================== //
-    handleMouseDown(event) {
-        this.isDragging = true;
-        this.lastMousePosition = this.getMousePosition(event);
+    /** A press on a draggable shape drags it, otherwise one pointer pans, two pinch-zoom and rotate about their centroid */
+    handlePointerDown(event) {
+        const pointerEvent = event.originalEvent;
+        const position = this.getMousePosition(pointerEvent);
+        this.trace.leave();
+        if (this.drag) return;
+        if (this.pointers.size === 0) {
+            const drag = this.hitTest(position);
+            if (drag) {
+                this.drag = { pointerId: pointerEvent.pointerId, ...drag };
+                return;
+            }
+        }
+        if (this.pointers.size === 0) this.gestureStartTransform = this.worldToScreenTransform;
+        this.pointers.set(pointerEvent.pointerId, position);
+
+        if (pointerEvent.pointerType === "touch" && this.pointers.size === 1) {
+            this.handleTap(position, pointerEvent.timeStamp);
+        }
     }
 
-    handleMouseUp() {
-        this.isDragging = false;
+    handlePointerUp(event) {
+        if (this.drag?.pointerId === event.originalEvent.pointerId) {
+            this.drag.end();
+            this.drag = null;
+            return;
+        }
+        if (!this.pointers.delete(event.originalEvent.pointerId)) return;
+        if (this.pointers.size > 0 || this.worldToScreenTransform === this.gestureStartTransform) return;
+        this.recordViewChange(this.gestureStartTransform);
+        this.draw();
     }
 
-    handleMouseMove(event) {
-        if (!this.isDragging) return;
-        
-        this.currentMousePosition = this.getMousePosition(event);
-        const dragDelta = this.currentMousePosition.subtract(this.lastMousePosition);
-        
-        // Apply panning transformation
-        this.worldToScreenTransform = new AffineTransform(
-            this.worldToScreenTransform.linear,
-            this.worldToScreenTransform.translation.add(dragDelta)
-        );
-        
-        this.lastMousePosition = this.currentMousePosition;
+    handlePointerMove(event) {
+        const pointerEvent = event.originalEvent;
+        const position = this.getMousePosition(pointerEvent);
+        if (this.drag?.pointerId === pointerEvent.pointerId) {
+            this.drag.move(this.screenToWorld(position));
+            return;
+        }
+        if (!this.pointers.has(pointerEvent.pointerId)) {
+            if (pointerEvent.pointerType === "mouse") this.trace.hover(position);
+            return;
+        }
+
+        const [first, second] = [...this.pointers.keys()];
+        const before = [...this.pointers.values()];
+        this.pointers.set(pointerEvent.pointerId, position);
+        const after = [...this.pointers.values()];
+
+        if (second === undefined) {
+            this.worldToScreenTransform = AffineTransform.translation(after[0].subtract(before[0]))
+                .compose(this.worldToScreenTransform);
+            this.previewPan();
+            return;
+        } else {
+            // The similarity taking the old finger pair to the new one, fixed at the centroid
+            const centroidBefore = before[0].add(before[1]).scale(0.5);
+            const centroidAfter = after[0].add(after[1]).scale(0.5);
+            const spanBefore = before[1].subtract(before[0]);
+            const spanAfter = after[1].subtract(after[0]);
+            if (spanBefore.magnitude() < 1) return;
+            const ratio = spanAfter.complexMultiply(new Vec2(spanBefore.x, -spanBefore.y))
+                .scale(1 / spanBefore.dot(spanBefore));
+            const gesture = AffineTransform.translation(centroidAfter)
+                .compose(new AffineTransform(new Matrix2(ratio.x, -ratio.y, ratio.y, ratio.x)))
+                .compose(AffineTransform.translation(centroidBefore.negative()));
+            this.worldToScreenTransform = gesture.compose(this.worldToScreenTransform);
+        }
+        this.draw();
+    }
+
+    handlePointerLeave(event) {
+        if (event.originalEvent.pointerType === "mouse") this.trace.leave();
+        this.handlePointerUp(event);
+    }
+
+    /** A second tap close to the first in time and place zooms in there */
+    handleTap(position, time) {
+        const last = this.lastTap;
+        if (last && time - last.time < 300 && position.distanceTo(last.position) < 30) {
+            this.lastTap = null;
+            this.applyZoom(new Matrix2(2, 0, 0, 2), this.screenToWorld(position));
+            this.draw();
+            return;
+        }
+        this.lastTap = { position, time };
+    }
+
+    /** Arrows pan, + and - zoom and [ and ] rotate about the center of the view */
+    handleKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        const previousTransform = this.worldToScreenTransform;
+        const center = this.getWorldCenter();
+        const distance = this.keyPanDistance;
+        const pans = {
+            ArrowLeft: new Vec2(distance, 0),
+            ArrowRight: new Vec2(-distance, 0),
+            ArrowUp: new Vec2(0, distance),
+            ArrowDown: new Vec2(0, -distance)
+        };
+        let coalesceKey;
+
+        // Left and right walk the hover trace while there is one
+        if (pans[event.key] && !(this.trace.graph && (event.key === "ArrowLeft" || event.key === "ArrowRight"))) {
+            this.worldToScreenTransform = AffineTransform.translation(pans[event.key])
+                .compose(this.worldToScreenTransform);
+            coalesceKey = "pan";
+        } else if (event.key === "+" || event.key === "=") {
+            this.applyZoom(this.zoomFactorMatrix, center);
+            coalesceKey = "zoom";
+        } else if (event.key === "-" || event.key === "_") {
+            this.applyZoom(this.zoomFactorMatrix.inverse(), center);
+            coalesceKey = "zoom";
+        } else if (event.key === "[") {
+            this.applyZoom(this.rotationFactorMatrix, center);
+            coalesceKey = "rotate";
+        } else if (event.key === "]") {
+            this.applyZoom(this.rotationFactorMatrix.inverse(), center);
+            coalesceKey = "rotate";
+        } else {
+            return;
+        }
+
+        event.preventDefault();
+        this.recordViewChange(previousTransform, coalesceKey);
         this.draw();
     }
 
@@ -70,6 +187,7 @@ class World {
             this.getMousePosition(event.originalEvent)
         );
         const zoomDirection = event.originalEvent.deltaY;
+        const previousTransform = this.worldToScreenTransform;
 
         try {
             if (zoomDirection < 0) {  // Zoom in
@@ -82,21 +200,65 @@ class World {
             console.error("Zoom operation failed:", error);
         }
         
+        this.recordViewChange(previousTransform, isRotation ? "rotate" : "zoom");
         this.draw();
     }
 
     // ================== Rendering Methods ================== //
-    /** Draw all shapes in the world */
+    /** Redraw all shapes in the next frame */
     draw() {
-        // Clear existing content
-        while (this.svg.firstChild) {
-            this.svg.removeChild(this.svg.firstChild);
-        }
-        
-        // Render all shapes
+        this.shapes.forEach(shape => this.dirty.add(shape));
+        this.requestFrame();
+    }
+
+    /** Recompute one shape in the next frame */
+    redraw(shape) {
+        this.dirty.add(shape);
+        this.requestFrame();
+    }
+
+    requestFrame() {
+        if (this.frameId === null) this.frameId = requestAnimationFrame(() => this.render());
+    }
+
+    /** Recompute the dirty shapes now and keep all elements in shape order */
+    render() {
+        if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+        clearTimeout(this.settleTimer);
+
+        // Shapes drawn for another view are all stale
+        const dirty = this.worldToScreenTransform === this.renderedTransform ? this.dirty : new Set(this.shapes);
+        this.dirty = new Set();
+        this.renderedTransform = this.worldToScreenTransform;
+        this.layer.removeAttribute("transform");
+
+        let index = 0;
         for (const shape of this.shapes) {
-            shape.update(this);
+            if (dirty.has(shape)) shape.render();
+            if (!shape.element) continue;
+            const current = this.layer.children[index] ?? null;
+            if (current !== shape.element) this.layer.insertBefore(shape.element, current);
+            index++;
         }
+        this.trace.draw();
+    }
+
+    /**
+     * Follow a pan by moving the drawn shapes, re-sampling them once it pauses.
+     * Only the translation may differ from the rendered view.
+     */
+    previewPan() {
+        const rendered = this.renderedTransform?.linear;
+        const current = this.worldToScreenTransform.linear;
+        if (!rendered || rendered.a !== current.a || rendered.b !== current.b || rendered.c !== current.c || rendered.d !== current.d) {
+            this.draw();
+            return;
+        }
+        const offset = this.worldToScreenTransform.translation.subtract(this.renderedTransform.translation);
+        this.layer.setAttribute("transform", `translate(${offset.x},${offset.y})`);
+        clearTimeout(this.settleTimer);
+        this.settleTimer = setTimeout(() => this.draw(), this.settleDelay);
     }
 
     // ================== Coordinate Transforms ================== //
@@ -130,6 +292,12 @@ class World {
         return this.getVisibleWorldPolygon(margin).boundingRectangle();
     }
 
+    /** Replace the view transform and redraw */
+    setTransform(transform) {
+        this.worldToScreenTransform = transform;
+        this.draw();
+    }
+
     getWorldCenter(){
         return this.screenToWorld(this.getViewportRect(0).center);
     }
@@ -141,12 +309,147 @@ class World {
         return new Vec2(event.clientX - rect.left, event.clientY - rect.top);
     }
 
+    /** Variables and functions that shapes provide to expressions */
+    getScope() {
+        const scope = {};
+        for (const shape of this.shapes) {
+            shape.defineScope(scope);
+        }
+        return scope;
+    }
+
+    /** The scope as plain data: parameter values and function definition strings */
+    getScopeDescription() {
+        const description = { values: {}, definitions: [] };
+        for (const shape of this.shapes) {
+            shape.describeScope(description);
+        }
+        return description;
+    }
+
+    /** Redraw the shapes that use any of the names, and those that use names they define */
+    invalidate(names) {
+        const changed = new Set(names);
+        const dirty = new Set();
+        let found = true;
+        while (found) {
+            found = false;
+            for (const shape of this.shapes) {
+                if (dirty.has(shape) || !shape.dependsOn(changed)) continue;
+                dirty.add(shape);
+                shape.providedNames().forEach(name => changed.add(name));
+                found = true;
+            }
+        }
+        dirty.forEach(shape => shape.update());
+    }
+
+    /**
+     * The drag of the topmost visible shape under a screen point
+     * @returns {{move: Function, end: Function}|null} null where the press should pan
+     */
+    hitTest(screen_point) {
+        for (const shape of [...this.shapes].reverse()) {
+            if (shape.attrs.hidden) continue;
+            const drag = shape.grab(screen_point);
+            if (drag) return drag;
+        }
+        return null;
+    }
+
     /** Find shape by ID */
     getShapeById(id) {
         return this.shapes.find(shape => shape.id === id);
     }
 
+    // ================== Serialization ================== //
+    /** View transform and shapes as plain data */
+    serialize() {
+        const { linear, translation } = this.worldToScreenTransform;
+        return {
+            transform: {
+                linear: [linear.a, linear.b, linear.c, linear.d],
+                translation: [translation.x, translation.y]
+            },
+            shapes: this.shapes.map(shape => shape.serialize())
+        };
+    }
+
+    /**
+     * Replace view and shapes with serialized ones, rebuilding their controls.
+     * The current scene stays if the state is malformed or fails to build.
+     */
+    deserialize(state) {
+        World.validateState(state);
+        const previous = this.serialize();
+        try {
+            this.replaceState(state);
+        } catch (error) {
+            this.replaceState(previous);
+            throw error;
+        }
+    }
+
+    /**
+     * Check a serialized state completely, before anything is replaced
+     * @param {Object} state - State created by serialize
+     * @throws {Error} Describing the first problem found
+     */
+    static validateState(state) {
+        const isNumbers = (array, length) => Array.isArray(array) && array.length === length && array.every(Number.isFinite);
+        if (typeof state !== "object" || state === null) throw new Error("Scene is not an object");
+        if (!isNumbers(state.transform?.linear, 4) || !isNumbers(state.transform?.translation, 2)) {
+            throw new Error("Scene has no valid view transform");
+        }
+        if (!Array.isArray(state.shapes)) throw new Error("Scene has no list of shapes");
+        state.shapes.forEach((data, index) => {
+            if (!ShapeTypes[data?.type]) throw new Error(`Unknown shape type "${data?.type}"`);
+            if (typeof data.attrs !== "object" || data.attrs === null || Array.isArray(data.attrs)) {
+                throw new Error(`Shape ${index + 1} has no attributes`);
+            }
+            for (const [key, value] of Object.entries(data.attrs)) {
+                if (!["string", "number", "boolean"].includes(typeof value)) {
+                    throw new Error(`Shape ${index + 1} has an invalid value for "${key}"`);
+                }
+            }
+        });
+    }
+
+    replaceState(state) {
+        this.clear();
+        this.worldToScreenTransform = new AffineTransform(
+            new Matrix2(...state.transform.linear),
+            new Vec2(...state.transform.translation)
+        );
+        for (const data of state.shapes) {
+            Shape.deserialize(this, data);
+        }
+        this.history.clear();
+        this.draw();
+    }
+
+    /** Delete all shapes */
+    clear() {
+        for (const shape of [...this.shapes]) {
+            shape.delete();
+        }
+    }
+
     // ================== Internal Helpers ================== //
+    /**
+     * Record a view change since previousTransform as one undo step
+     * @param {AffineTransform} previousTransform - Transform before the change
+     * @param {string} [coalesceKey] - Merges quick successive changes of the same kind
+     */
+    recordViewChange(previousTransform, coalesceKey) {
+        const transform = this.worldToScreenTransform;
+        if (transform === previousTransform) return;
+        this.history.record({
+            undo: () => this.setTransform(previousTransform),
+            redo: () => this.setTransform(transform)
+        }, coalesceKey);
+    }
+
     /**
      * Apply zoom/rotation transformation
      * @param {Matrix2} transformation - Transformation matrix to apply